@@ -6,15 +6,23 @@
  * with Claude and/or IDEs.
  *
  * Usage:
- *   node launcher.js --workspace-root <path> --state-dir <path> [options]
+ *   node launcher.js --workspace-root <path> --state-dir <path> [command] [options]
  *
  * Required:
  *   --workspace-root  Workspace root directory (where repos live)
  *   --state-dir       Plugin state directory (for config files)
  *
+ * Commands (non-interactive, omit for the interactive menu):
+ *   list                      List entries and other managed repos
+ *   open <entry-name|path>    Launch an entry (--mode, --startup, --new-window, --yes)
+ *   worktree <repo> <branch>  Create a worktree for branch and launch Claude in it
+ *   status                    Print remote sync status table (--fetch to fetch first)
+ *   scan                      Scan workspace for repos and update repos.json
+ *   --json                    Machine-readable output for list/status/scan
+ *
  * Options:
  *   --setup     Run interactive setup wizard
- *   --config    Show current configuration
+ *   --config    Check configuration (paths, summary, validation report)
  *   --help      Show help
  *
  * Note: Use the wrapper scripts (launcher.ps1 / launcher.sh) which
@@ -22,9 +30,10 @@
  */
 
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const readline = require('readline');
-const { execSync, spawn } = require('child_process');
+const { exec, execFile, execSync, spawn } = require('child_process');
 
 // ============================================================================
 // ANSI Escape Codes
@@ -51,6 +60,9 @@ const ANSI = {
 const SEP60 = `${ANSI.dim}${'='.repeat(60)}${ANSI.reset}`;
 const SEP40 = `${ANSI.cyan}${'='.repeat(40)}${ANSI.reset}`;
 
+// Colors a custom mode may use (keys of ANSI)
+const MODE_COLOR_NAMES = ['green', 'yellow', 'blue', 'magenta', 'cyan', 'white', 'gray', 'red'];
+
 function printScreen(lines) {
   process.stdout.write(ANSI.clear);
   console.log(lines.join('\n'));
@@ -69,21 +81,42 @@ function parseArgs(argv) {
     setup: false,
     config: false,
     help: false,
+    command: null,      // Subcommand: list | open | status | scan
+    commandArgs: [],    // Positional args after the subcommand
+    mode: null,         // --mode for 'open'
+    startup: null,      // --startup for 'open'
+    newWindow: false,   // --new-window for 'open'
+    fetch: false,       // --fetch for 'status'
+    json: false,        // --json machine-readable output
+    yes: false,         // --yes: skip confirmation prompts (skip-permissions)
+    errors: [],         // Unknown options and options missing their value
+  };
+
+  let i = 0;
+  // Value of the option at argv[i]; a missing value (end or another option) is an error
+  const takeValue = () => {
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args.errors.push(`Option ${argv[i]} requires a value`);
+      return null;
+    }
+    i++;
+    return next;
   };
 
-  for (let i = 0; i < argv.length; i++) {
+  for (; i < argv.length; i++) {
     switch (argv[i]) {
       case '--workspace-root':
-        args.workspaceRoot = argv[++i];
+        args.workspaceRoot = takeValue();
         break;
       case '--plugins-root':
-        args.pluginsRoot = argv[++i];
+        args.pluginsRoot = takeValue();
         break;
       case '--state-dir':
-        args.stateDir = argv[++i];
+        args.stateDir = takeValue();
         break;
       case '--launcher-script':
-        args.launcherScript = argv[++i];
+        args.launcherScript = takeValue();
         break;
       case '--setup':
         args.setup = true;
@@ -95,6 +128,33 @@ function parseArgs(argv) {
       case '-h':
         args.help = true;
         break;
+      case '--mode':
+        args.mode = takeValue();
+        break;
+      case '--startup':
+        args.startup = takeValue();
+        break;
+      case '--new-window':
+        args.newWindow = true;
+        break;
+      case '--fetch':
+        args.fetch = true;
+        break;
+      case '--json':
+        args.json = true;
+        break;
+      case '--yes':
+      case '-y':
+        args.yes = true;
+        break;
+      default:
+        if (argv[i].startsWith('-')) {
+          args.errors.push(`Unknown option: ${argv[i]}`);
+        } else if (!args.command) {
+          args.command = argv[i];
+        } else {
+          args.commandArgs.push(argv[i]);
+        }
     }
   }
 
@@ -112,6 +172,8 @@ function getConfigPaths() {
     repos: path.join(STATE_DIR, 'repos.json'),
     config: path.join(STATE_DIR, 'runner-config.json'),
     cache: path.join(STATE_DIR, 'cache.json'),
+    operations: path.join(STATE_DIR, 'operations.json'),
+    lock: path.join(STATE_DIR, '.launcher.lock'),
     // Legacy - for migration
     diffs: path.join(STATE_DIR, 'diffs.json'),
   };
@@ -132,22 +194,226 @@ function loadJson(filePath, defaultValue = null) {
   return defaultValue;
 }
 
+/**
+ * Write JSON atomically (temp file + rename) while holding the state lock,
+ * so concurrent launchers never see or produce a half-written file
+ */
 function saveJson(filePath, data) {
   const dir = path.dirname(filePath);
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  withStateLock(() => {
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    renameWithRetry(tmpPath, filePath);
+  });
+}
+
+/**
+ * Read-modify-write a JSON file under the state lock
+ * updater(current) returns the new data; current is defaultValue if missing
+ */
+function updateJson(filePath, updater, defaultValue = {}) {
+  return withStateLock(() => {
+    const data = updater(loadJson(filePath, defaultValue));
+    saveJson(filePath, data);
+    return data;
+  });
+}
+
+/**
+ * Rename with short retries - on Windows the target may briefly be open
+ * in another process (antivirus, a concurrent reader)
+ */
+function renameWithRetry(from, to, attempts = 5) {
+  for (let i = 1; ; i++) {
+    try {
+      fs.renameSync(from, to);
+      return;
+    } catch (e) {
+      if (i >= attempts || !['EPERM', 'EBUSY', 'EACCES'].includes(e.code)) {
+        try { fs.unlinkSync(from); } catch (cleanupErr) { /* already gone */ }
+        throw e;
+      }
+      sleepSync(20 * i);
+    }
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// ============================================================================
+// State Directory Lock
+// ============================================================================
+
+const LOCK_TIMEOUT_MS = 5000;   // Give up waiting - the write fails, a live owner's lock is never taken
+const LOCK_STALE_MS = 10000;    // Unreadable lock older than this is left over from a crash
+let lockDepth = 0;              // Re-entrant: saveJson inside updateJson
+
+/**
+ * Read the lock file: { pid, token, createdAt }, or null while it is missing,
+ * still being written or corrupt
+ */
+function readLockFile(lockPath) {
+  try {
+    const info = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    return Number.isInteger(info?.pid) ? info : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether a lock file is left over: its process is gone, or it has stayed
+ * unreadable for longer than a writer needs (a fresh lock may still be empty)
+ */
+function isLockStale(lockPath) {
+  const info = readLockFile(lockPath);
+  if (!info) {
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+    } catch (e) {
+      return false; // Released meanwhile - just retry
+    }
+  }
+  // Our own pid outside withStateLock is a lock this process failed to remove
+  if (info.pid === process.pid) return true;
+  try {
+    process.kill(info.pid, 0); // Throws if process is gone
+    return false;
+  } catch (e) {
+    // EPERM means the process exists under another user
+    return e.code !== 'EPERM';
+  }
+}
+
+/**
+ * Error thrown when the lock stays held by a live process; err.stateLocked is
+ * set so callers writing disposable data (cache, operation log) can skip the write
+ */
+function stateLockError(lockPath) {
+  const owner = readLockFile(lockPath);
+  const err = new Error(`State directory is locked${owner ? ` by process ${owner.pid}` : ''} (${lockPath})`);
+  err.stateLocked = true;
+  return err;
+}
+
+/**
+ * Run fn while holding the lock file in STATE_DIR
+ */
+function withStateLock(fn) {
+  if (lockDepth > 0) {
+    lockDepth++;
+    try {
+      return fn();
+    } finally {
+      lockDepth--;
+    }
+  }
+
+  const lockPath = getConfigPaths().lock;
+  const started = Date.now();
+  let fd = null;
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lockPath, 'wx');
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+        continue;
+      }
+      if (e.code !== 'EEXIST') throw e;
+      if (isLockStale(lockPath)) {
+        try { fs.unlinkSync(lockPath); } catch (unlinkErr) { /* another process took over first */ }
+        continue;
+      }
+      if (Date.now() - started > LOCK_TIMEOUT_MS) throw stateLockError(lockPath);
+      sleepSync(25);
+    }
+  }
+
+  const owner = { pid: process.pid, token: crypto.randomBytes(8).toString('hex'), createdAt: Date.now() };
+  fs.writeSync(fd, JSON.stringify(owner));
+  fs.closeSync(fd);
+  lockDepth = 1;
+  try {
+    return fn();
+  } finally {
+    lockDepth = 0;
+    // Only remove our own lock - a stale-lock takeover may have replaced it
+    const current = readLockFile(lockPath);
+    if (current?.pid === owner.pid && current.token === owner.token) {
+      try { fs.unlinkSync(lockPath); } catch (e) { /* already removed */ }
+    }
+  }
+}
+
+// ============================================================================
+// Cache
+// ============================================================================
+
+/**
+ * Merge diff stats per repo path: each side's entry for a path dates from that
+ * side's refresh of it (file watcher, stage/commit) or else its last full scan,
+ * and the newer one wins (disk on a tie, e.g. mid-scan) - a missing entry means clean.
+ * Group aggregates are dropped; recompute them from the merged data
+ */
+function mergeDiffs(onDisk = {}, ours) {
+  const sides = [onDisk, ours];
+  const stampOf = (side, repoPath) => Math.max(side.refreshedAt?.[repoPath] || 0, side.lastScan || 0);
+  const repoPaths = new Set(sides.flatMap(side => [...Object.keys(side.data || {}), ...Object.keys(side.refreshedAt || {})]));
+  const data = {};
+  const refreshedAt = {};
+  for (const repoPath of repoPaths) {
+    if (repoPath.startsWith('__group_')) continue;
+    const winner = stampOf(onDisk, repoPath) >= stampOf(ours, repoPath) ? onDisk : ours;
+    if (winner.data?.[repoPath]) data[repoPath] = winner.data[repoPath];
+    if (winner.refreshedAt?.[repoPath]) refreshedAt[repoPath] = winner.refreshedAt[repoPath];
+  }
+  return { lastScan: Math.max(onDisk.lastScan || 0, ours.lastScan || 0) || null, refreshedAt, data };
+}
+
+/**
+ * Merge remote status per repo path: the record refreshed last wins (records
+ * without refreshedAt date from their side's lastFetch); repos only one side
+ * has seen are kept
+ */
+function mergeRemoteStatus(onDisk = {}, ours) {
+  const stampOf = (side, repoPath) => side.data?.[repoPath]?.refreshedAt || side.lastFetch || 0;
+  const data = { ...onDisk.data };
+  for (const [repoPath, record] of Object.entries(ours.data || {})) {
+    if (!data[repoPath] || stampOf(ours, repoPath) >= stampOf(onDisk, repoPath)) data[repoPath] = record;
+  }
+  return { lastFetch: Math.max(onDisk.lastFetch || 0, ours.lastFetch || 0) || null, data };
+}
+
+/**
+ * Merge cache sections from disk and memory per repo path (see mergeDiffs,
+ * mergeRemoteStatus), so one launcher's scan or fetch does not clobber another's
+ */
+function mergeCache(onDisk, ours) {
+  return {
+    ...onDisk,
+    ...ours,
+    diffs: mergeDiffs(onDisk?.diffs, ours.diffs),
+    remoteStatus: mergeRemoteStatus(onDisk?.remoteStatus, ours.remoteStatus),
+  };
 }
 
 /**
  * Save cache data (diffs and remote status with timestamps)
+ * Merges with cache.json on disk; adopts newer data written by another launcher.
+ * Skipped while another launcher holds the state lock too long
  */
 function saveCache(state) {
   const paths = getConfigPaths();
   const cacheData = {
     diffs: {
       lastScan: state.diffsLastScan,
+      refreshedAt: state.diffsRefreshedAt,
       data: state.diffs,
     },
     remoteStatus: {
@@ -155,71 +421,123 @@ function saveCache(state) {
       data: state.remoteStatusCache,
     },
   };
-  saveJson(paths.cache, cacheData);
+  let merged;
+  try {
+    merged = updateJson(paths.cache, onDisk => {
+      const result = mergeCache(onDisk, cacheData);
+      computeGroupStats(state.entries, result.diffs.data);
+      return result;
+    }, null);
+  } catch (e) {
+    // The cache is disposable - keep what we have in memory and write it next time
+    if (e.stateLocked) return;
+    throw e;
+  }
+
+  state.diffs = merged.diffs.data || {};
+  state.diffsLastScan = merged.diffs.lastScan;
+  state.diffsRefreshedAt = merged.diffs.refreshedAt || {};
+  state.remoteStatusCache = merged.remoteStatus.data || {};
+  state.remoteStatusLastFetch = merged.remoteStatus.lastFetch;
 }
 
-function loadConfig() {
+/**
+ * Read repos.json, runner-config.json and cache.json without writing anything:
+ * a missing config becomes the default one, an older one is migrated in memory.
+ * Returns { config, repos, cache, stored, created, applied, fromVersion, cacheMigrated } -
+ * stored is the config as it would be saved; throws configLoadError for an unusable file
+ */
+function readStateFiles() {
   const paths = getConfigPaths();
 
   // Load repos.json
   const reposData = loadJson(paths.repos, { repositories: [] });
 
-  // Load runner-config.json
-  let config = loadJson(paths.config);
-
-  if (!config) {
+  // Load runner-config.json - a corrupt file is an error, never silently replaced
+  const onDisk = readConfigFile(paths.config);
+  let stored;
+  let applied = [];
+  if (!onDisk) {
     // Create default config from repos
-    config = createDefaultConfig(reposData.repositories);
-    saveJson(paths.config, config);
+    stored = createDefaultConfig(reposData.repositories);
   } else {
-    // Ensure unmanagedPaths exists (for existing configs)
-    if (!config.unmanagedPaths) {
-      config.unmanagedPaths = [];
-    }
-    // Normalize entries (add expanded/children if missing)
-    if (config.entries) {
-      config.entries = config.entries.map(normalizeEntry);
+    // Upgrade older configs - only usable when the result is valid
+    const migration = migrateConfig(onDisk);
+    const schemaErrors = validateSchema(migration.config, CONFIG_SCHEMA);
+    if (schemaErrors.length > 0) {
+      throw configLoadError(paths.config, 'does not match the config schema', schemaErrors);
     }
+    stored = migration.config;
+    applied = migration.applied;
   }
+  // Hand-written entries may lack children/expanded at any version - idempotent, not saved
+  const config = { ...stored, entries: stored.entries.map(normalizeEntry) };
 
   // Load cache.json (or migrate from legacy diffs.json)
   let cache = loadJson(paths.cache);
+  let cacheMigrated = false;
   if (!cache) {
     // Try migrating from legacy diffs.json
     const legacyDiffs = loadJson(paths.diffs, null);
-    if (legacyDiffs) {
-      cache = {
-        diffs: { lastScan: null, data: legacyDiffs },
-        remoteStatus: { lastFetch: null, data: {} },
-      };
-      saveJson(paths.cache, cache);
-      // Optionally delete legacy file (keep for now)
-    } else {
-      cache = {
-        diffs: { lastScan: null, data: {} },
-        remoteStatus: { lastFetch: null, data: {} },
-      };
-    }
+    cache = {
+      diffs: { lastScan: null, data: legacyDiffs || {} },
+      remoteStatus: { lastFetch: null, data: {} },
+    };
+    cacheMigrated = Boolean(legacyDiffs);
   }
 
-  return { config, repos: reposData, cache };
+  return {
+    config,
+    repos: reposData,
+    cache,
+    stored,
+    created: !onDisk,
+    applied,
+    fromVersion: onDisk?.version || '1.0.0',
+    cacheMigrated,
+  };
+}
+
+/**
+ * Read state files and write back what changed: a created default config,
+ * a migrated config (after a backup) and a cache migrated from diffs.json
+ */
+function loadConfig() {
+  const paths = getConfigPaths();
+  const files = readStateFiles();
+  if (files.created) {
+    saveJson(paths.config, files.stored);
+  } else if (files.applied.length > 0) {
+    backupConfigFile(paths.config, files.fromVersion);
+    saveJson(paths.config, files.stored);
+  }
+  // Legacy diffs.json is kept for now
+  if (files.cacheMigrated) saveJson(paths.cache, files.cache);
+  return { config: files.config, repos: files.repos, cache: files.cache };
 }
 
 function createDefaultConfig(repositories) {
+  const ides = detectIDEs();
+  const defaultIde = ides[0]?.name || 'WebStorm';
   return {
-    version: '1.2.0',
-    modes: ['Claude', 'IDE', 'Claude + IDE', 'PowerShell'],
+    version: CURRENT_CONFIG_VERSION,
+    modes: ['Claude', 'IDE', 'Claude + IDE', process.platform === 'win32' ? 'PowerShell' : 'Terminal'],
     claudeStartupModes: ['none', 'with /git:startup', 'with /git:commit'],
     claudeCommand: null, // null = auto-detect on first use
-    ides: detectIDEs(),
+    gitConcurrency: DEFAULT_GIT_CONCURRENCY, // parallel git processes for scans/fetches
+    terminal: null, // null = platform default (see TERMINAL_PRESETS)
+    autoRefresh: getAutoRefreshSettings(null), // minutes; 0 turns a rule off
+    scan: { roots: [], maxDepth: null, exclude: [...DEFAULT_SCAN_EXCLUDE], nested: false },
+    customModes: [], // { name, command, color, run } - see getModeCycle()
+    ides,
     unmanagedPaths: [], // Repos excluded from main menu
     entries: [
-      { type: 'workspace', path: '.', name: 'Root (workspace)', ide: 'WebStorm', expanded: false, children: [] },
-      ...repositories.map(r => ({
+      { type: 'workspace', path: '.', name: 'Root (workspace)', ide: defaultIde, expanded: false, children: [] },
+      ...repositories.filter(r => !r.worktreeOf).map(r => ({
         type: 'repo',
         path: r.path,
         name: r.path,
-        ide: 'WebStorm',
+        ide: defaultIde,
         expanded: false,
         children: [],
       })),
@@ -243,6 +561,288 @@ function normalizeEntry(entry) {
   return normalized;
 }
 
+// ============================================================================
+// Config Schema & Migrations
+// ============================================================================
+
+const CURRENT_CONFIG_VERSION = '1.3.0';
+
+/**
+ * Ordered migration steps, keyed on config.version (missing version = 1.0.0)
+ * Each step is pure: takes a config object, returns the upgraded copy
+ */
+const CONFIG_MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '1.1.0',
+    description: 'Add unmanagedPaths',
+    migrate: config => ({ ...config, unmanagedPaths: config.unmanagedPaths || [] }),
+  },
+  {
+    from: '1.1.0',
+    to: '1.2.0',
+    description: 'Normalize entries (expanded/children, group paths)',
+    migrate: config => ({ ...config, entries: (config.entries || []).map(normalizeEntry) }),
+  },
+  {
+    from: '1.2.0',
+    to: '1.3.0',
+    description: 'Add customModes',
+    migrate: config => ({ ...config, customModes: config.customModes || [] }),
+  },
+];
+
+/**
+ * Compare dotted version strings: -1, 0 or 1
+ */
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff < 0 ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Run all migrations needed to bring config to CURRENT_CONFIG_VERSION
+ * Returns { config, applied } where applied lists the steps that ran.
+ * Configs from a newer launcher are returned untouched.
+ */
+function migrateConfig(config, migrations = CONFIG_MIGRATIONS) {
+  let current = config;
+  let version = config.version || '1.0.0';
+  const applied = [];
+
+  for (const step of migrations) {
+    if (compareVersions(version, step.to) >= 0) continue;
+    current = { ...step.migrate(current), version: step.to };
+    version = step.to;
+    applied.push(step);
+  }
+
+  return { config: current, applied };
+}
+
+/**
+ * Copy config file next to itself before upgrading it
+ * Returns backup path
+ */
+function backupConfigFile(filePath, fromVersion) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = filePath.replace(/\.json$/, `.backup-v${fromVersion}-${stamp}.json`);
+  fs.copyFileSync(filePath, backupPath);
+  return backupPath;
+}
+
+/**
+ * List config backups (newest first)
+ */
+function listConfigBackups(filePath) {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath, '.json');
+  try {
+    return fs.readdirSync(dir)
+      .filter(f => f.startsWith(`${base}.backup-`))
+      .sort()
+      .reverse()
+      .map(f => path.join(dir, f));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Build an Error describing an unusable config file
+ * (main() shows it as an error screen instead of a one-line message)
+ */
+function configLoadError(filePath, reason, details = []) {
+  const err = new Error(`${filePath} ${reason}`);
+  err.configFile = filePath;
+  err.configErrors = details;
+  return err;
+}
+
+/**
+ * Read runner-config.json: null if missing, throws configLoadError if unreadable
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    throw configLoadError(filePath, 'cannot be read', [e.message]);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw configLoadError(filePath, 'is not valid JSON', [e.message]);
+  }
+}
+
+/**
+ * JSON schema (subset: type, required, properties, items, enum, minimum, $ref)
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['entries'],
+  properties: {
+    version: { type: 'string' },
+    modes: { type: 'array', items: { type: 'string' } },
+    claudeStartupModes: { type: 'array', items: { type: 'string' } },
+    claudeCommand: { type: ['string', 'null'] },
+    terminal: { type: ['string', 'null'] },
+    gitConcurrency: { type: 'integer', minimum: 1 },
+    autoRefresh: {
+      type: 'object',
+      properties: {
+        scanOnStartAfter: { type: 'number', minimum: 0 },
+        fetchEvery: { type: 'number', minimum: 0 },
+        watch: { type: 'boolean' },
+        staleAfter: { type: 'number', minimum: 0 },
+      },
+    },
+    scan: {
+      type: 'object',
+      properties: {
+        roots: { type: 'array', items: { type: 'string' } },
+        maxDepth: { type: ['integer', 'null'], minimum: 0 },
+        exclude: { type: 'array', items: { type: 'string' } },
+        nested: { type: 'boolean' },
+      },
+    },
+    customModes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'command'],
+        properties: {
+          name: { type: 'string' },
+          command: { type: 'string' },
+          color: { enum: MODE_COLOR_NAMES },
+          run: { enum: ['terminal', 'detached'] },
+        },
+      },
+    },
+    shortcutPromptShown: { type: 'boolean' },
+    unmanagedPaths: { type: 'array', items: { type: 'string' } },
+    ides: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          command: { type: 'string' },
+          path: { type: 'string' },
+          shortcut: { type: 'string' },
+        },
+      },
+    },
+    entries: { type: 'array', items: { $ref: '#/definitions/entry' } },
+  },
+  definitions: {
+    entry: {
+      type: 'object',
+      properties: {
+        type: { enum: ['workspace', 'repo', 'group'] },
+        path: { type: 'string' },
+        name: { type: 'string' },
+        ide: { type: ['string', 'null'] },
+        behaviour: { enum: ['open', 'hoist', 'hidden'] },
+        openableAsRoot: { type: 'boolean' },
+        modeOverrides: { type: 'object' },
+        claude: {
+          type: 'object',
+          properties: {
+            skipPermissions: { type: 'boolean' },
+            model: { type: 'string' },
+            addDirs: { type: 'array', items: { type: 'string' } },
+            session: { enum: ['continue', 'resume'] },
+            extraArgs: { type: 'array', items: { type: 'string' } },
+          },
+        },
+        expanded: { type: 'boolean' },
+        children: { type: 'array', items: { $ref: '#/definitions/entry' } },
+      },
+    },
+  },
+};
+
+/**
+ * Validate value against schema subset
+ * Returns array of error strings like "entries[2].name: expected string"
+ */
+function validateSchema(value, schema, root = schema, at = '') {
+  const errors = [];
+  const label = at || '(root)';
+
+  if (schema.$ref) {
+    const def = root.definitions?.[schema.$ref.replace('#/definitions/', '')];
+    return def ? validateSchema(value, def, root, at) : [`${label}: unknown schema ref ${schema.$ref}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: expected one of ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = value === null ? 'null'
+      : Array.isArray(value) ? 'array'
+        : Number.isInteger(value) ? 'integer'
+          : typeof value;
+    const matches = types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+    if (!matches) {
+      errors.push(`${label}: expected ${types.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${label}: must be >= ${schema.minimum}`);
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at ? at + '.' : ''}${key}: required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propSchema, root, at ? `${at}.${key}` : key));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, root, `${at}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Keys not described by the schema (objects with listed properties only),
+ * e.g. ['entries[0].idea'] - usually typos, which validateSchema accepts
+ */
+function findUnknownKeys(value, schema, root = schema, at = '') {
+  if (schema.$ref) {
+    const def = root.definitions?.[schema.$ref.replace('#/definitions/', '')];
+    return def ? findUnknownKeys(value, def, root, at) : [];
+  }
+  if (Array.isArray(value)) {
+    return schema.items ? value.flatMap((item, i) => findUnknownKeys(item, schema.items, root, `${at}[${i}]`)) : [];
+  }
+  if (!value || typeof value !== 'object' || !schema.properties) return [];
+  return Object.entries(value).flatMap(([key, child]) => {
+    const keyPath = at ? `${at}.${key}` : key;
+    const propSchema = schema.properties[key];
+    return propSchema ? findUnknownKeys(child, propSchema, root, keyPath) : [keyPath];
+  });
+}
+
 /**
  * Flatten entries tree for display, including depth and parent info
  * Returns array of { entry, depth, parent, indexInParent }
@@ -258,6 +858,61 @@ function flattenEntries(entries, depth = 0, parent = null) {
   return result;
 }
 
+// Entry behaviours (see docs/plugin-state.md): first is the default
+const ENTRY_BEHAVIOURS = ['open', 'hoist', 'hidden'];
+
+function getEntryBehaviour(entry) {
+  return ENTRY_BEHAVIOURS.includes(entry.behaviour) ? entry.behaviour : 'open';
+}
+
+/**
+ * Whether entry can be launched (has a path and is not marked openableAsRoot: false)
+ */
+function isLaunchable(entry) {
+  return !!entry.path && entry.type !== 'other-managed' && entry.openableAsRoot !== false;
+}
+
+/**
+ * Flatten entries for the main menu, applying behaviours:
+ * - hidden: entry and its children are skipped
+ * - hoist: entry is skipped, its children appear in its place (always visible)
+ * Returns same shape as flattenEntries
+ */
+function flattenMenuEntries(entries, depth = 0, parent = null, worktreesByRepo = null) {
+  const result = [];
+  entries.forEach((entry, indexInParent) => {
+    const behaviour = getEntryBehaviour(entry);
+    if (behaviour === 'hidden') return;
+    if (behaviour === 'hoist') {
+      result.push(...flattenMenuEntries(entry.children || [], depth, parent, worktreesByRepo));
+      return;
+    }
+    result.push({ entry, depth, parent, indexInParent });
+    if (!entry.expanded) return;
+    // Worktrees (virtual, from repos.json) first, then configured children
+    for (const worktree of getWorktreeEntries(entry, worktreesByRepo)) {
+      result.push({ entry: worktree, depth: depth + 1, parent: entry, indexInParent: -1 });
+    }
+    if (entry.children && entry.children.length > 0) {
+      result.push(...flattenMenuEntries(entry.children, depth + 1, entry, worktreesByRepo));
+    }
+  });
+  return result;
+}
+
+/**
+ * Paths a mark toggles: the entry itself if launchable, plus launchable
+ * descendants (hidden subtrees skipped) - marking a group marks its repos
+ */
+function collectMarkTargets(entry) {
+  const paths = isLaunchable(entry) ? [entry.path] : [];
+  for (const child of entry.children || []) {
+    if (getEntryBehaviour(child) === 'hidden') continue;
+    paths.push(...collectMarkTargets(child));
+  }
+  return paths;
+}
+
 /**
  * Find entry in tree by reference and toggle expanded state
  */
@@ -348,18 +1003,14 @@ function computeGroupStats(entries, diffs) {
       computeGroupStats(entry.children, diffs);
 
       // Sum children stats
-      let files = 0, added = 0, removed = 0;
+      const total = emptyGitStats();
       for (const child of entry.children) {
         const childStats = diffs[child.path] || diffs[`__group_${child.name}`];
-        if (childStats) {
-          files += childStats.files;
-          added += childStats.added;
-          removed += childStats.removed;
-        }
+        if (childStats) addGitStats(total, childStats);
       }
 
-      if (files > 0 || added > 0 || removed > 0) {
-        diffs[`__group_${entry.name}`] = { files, added, removed };
+      if (total.files > 0 || total.added > 0 || total.removed > 0) {
+        diffs[`__group_${entry.name}`] = total;
       }
     }
   }
@@ -456,16 +1107,21 @@ function hideChangedFiles(state) {
   state.showChangedFiles = false;
   state.changedFiles = null;
   state.changedFilesPath = null;
+  state.changedFilesFocus = false;
+  state.changedFilesSelectedIndex = 0;
+  state.changedFilesStatus = null;
+  state.commitPrompt = null;
+  state.discardConfirm = null;
 }
 
 /**
  * Show changed files for entry (if it has changes)
- * Returns true if files were shown, false otherwise
+ * Resolves true if files were shown, false otherwise
  */
-function showChangedFilesForEntry(state, entryPath) {
+async function showChangedFilesForEntry(state, entryPath) {
   if (!entryPath || !state.diffs[entryPath]) return false;
 
-  const files = getChangedFiles(entryPath);
+  const files = await getChangedFiles(entryPath);
   if (files && files.length > 0) {
     state.showChangedFiles = true;
     state.changedFiles = files;
@@ -478,14 +1134,14 @@ function showChangedFilesForEntry(state, entryPath) {
 /**
  * Toggle changed files display for entry
  */
-function toggleChangedFiles(state, entryPath) {
+async function toggleChangedFiles(state, entryPath) {
   if (!entryPath) return;
 
   // If already showing for this entry, hide
   if (state.showChangedFiles && state.changedFilesPath === entryPath) {
     hideChangedFiles(state);
   } else {
-    showChangedFilesForEntry(state, entryPath);
+    await showChangedFilesForEntry(state, entryPath);
   }
 }
 
@@ -500,12 +1156,12 @@ function hideRemoteChangedFiles(state) {
 
 /**
  * Show changed files for remote status entry
- * Returns true if files were shown, false otherwise
+ * Resolves true if files were shown, false otherwise
  */
-function showRemoteChangedFilesForEntry(state, repoPath) {
+async function showRemoteChangedFilesForEntry(state, repoPath) {
   if (!repoPath) return false;
 
-  const files = getChangedFiles(repoPath);
+  const files = await getChangedFiles(repoPath);
   if (files && files.length > 0) {
     state.showRemoteChangedFiles = true;
     state.remoteChangedFiles = files;
@@ -518,39 +1174,213 @@ function showRemoteChangedFilesForEntry(state, repoPath) {
 /**
  * Toggle changed files display in remote status mode
  */
-function toggleRemoteChangedFiles(state, repoPath) {
+async function toggleRemoteChangedFiles(state, repoPath) {
   if (!repoPath) return;
 
   // If already showing for this repo, hide
   if (state.showRemoteChangedFiles && state.remoteChangedFilesPath === repoPath) {
     hideRemoteChangedFiles(state);
   } else {
-    showRemoteChangedFilesForEntry(state, repoPath);
+    await showRemoteChangedFilesForEntry(state, repoPath);
   }
 }
 
 // ============================================================================
-// Startup Mode Parsing
+// Remote Status Helpers
 // ============================================================================
 
 /**
- * Parse startup mode string to extract command
- * 'none' → null
- * 'with /git:commit' → '/git:commit'
+ * Create a Remote Status row placeholder (filled in by refreshRemoteStatusRow)
+ * Submodule rows (submoduleOf = parent repo path) are named by their path in the parent
  */
-function parseStartupMode(mode) {
-  if (mode === 'none') return null;
-  const match = mode.match(/^with\s+(.+)$/);
-  return match ? match[1] : null;
+function createRemoteStatusRow(repoPath, submoduleOf = null) {
+  return {
+    path: repoPath,
+    name: submoduleOf ? path.posix.relative(submoduleOf, repoPath) : repoPath,
+    submoduleOf,
+    submodule: null,  // { state, sha } from `git submodule status` for submodule rows
+    branch: null,
+    upstream: null,   // e.g. 'origin/main', null when the branch has no upstream
+    remote: null,     // remote a new branch is pushed to
+    defaultBranch: null,
+    ahead: 0,
+    behind: 0,
+    vsMain: null,
+    changes: null,
+    loading: true,
+  };
 }
 
-// ============================================================================
-// IDE Detection
-// ============================================================================
+/**
+ * Create Remote Status rows for repos, each followed by rows for its submodules
+ * Repos that are also a listed repo's submodule (scan.nested) appear only as submodule rows
+ */
+function createRemoteStatusRows(repoPaths) {
+  const submodulesByRepo = new Map(repoPaths.map(p => [p, readSubmodulePaths(p).map(sub => path.posix.join(p, sub))]));
+  const submodulePaths = new Set([...submodulesByRepo.values()].flat());
+  const rows = [];
+  for (const repoPath of repoPaths) {
+    if (submodulePaths.has(repoPath)) continue;
+    rows.push(createRemoteStatusRow(repoPath));
+    for (const subPath of submodulesByRepo.get(repoPath)) {
+      rows.push(createRemoteStatusRow(subPath, repoPath));
+    }
+  }
+  return rows;
+}
 
-function detectIDEs() {
-  const ides = [];
-  const jetBrainsPath = 'C:\\ProgramData\\Microsoft\\Windows\\Start Menu\\Programs\\JetBrains';
+/**
+ * Re-read local git status for a Remote Status row (no network), in place
+ */
+async function refreshRemoteStatusRow(row) {
+  // Deleted or moved since the scan - flagged instead of reading as 'unknown'
+  row.missing = !fs.existsSync(path.join(WORKSPACE_ROOT, row.path));
+  if (row.missing) {
+    Object.assign(row, { branch: null, upstream: null, remote: null, ahead: 0, behind: 0, vsMain: null, changes: null, loading: false });
+    return row;
+  }
+  if (row.submoduleOf) {
+    row.submodule = await getSubmoduleStatus(row.submoduleOf, row.name);
+    if (!row.submodule || row.submodule.state === 'uninitialized') {
+      // Nothing checked out to read status from
+      Object.assign(row, { branch: null, upstream: null, remote: null, ahead: 0, behind: 0, vsMain: null, changes: null, loading: false });
+      return row;
+    }
+  }
+
+  const [status, stats, defaultBranch] = await Promise.all([
+    getRemoteStatus(row.path),
+    getGitStats(row.path),
+    row.defaultBranch || detectDefaultBranch(row.path),
+  ]);
+  row.branch = status?.branch || 'unknown';
+  row.upstream = status?.upstream || null;
+  row.remote = status?.remote || null;
+  row.ahead = status?.ahead || 0;
+  row.behind = status?.behind || 0;
+  row.defaultBranch = defaultBranch;
+  row.changes = stats;
+  row.vsMain = await getStatusVsMain(row.path, row.branch, defaultBranch);
+  row.loading = false;
+  return row;
+}
+
+/**
+ * Per-row actions for a Remote Status row: [{ id: 'fetch' | 'pull' | 'push', key, label }]
+ * Rows without a branch (detached, uninitialised) can only be fetched, if at all
+ */
+function getRemoteRowActions(row) {
+  if (row.loading || !row.branch || row.branch === 'unknown') return [];
+  const actions = [];
+  if (row.remote) actions.push({ id: 'fetch', key: 'f', label: `Fetch ${row.remote}` });
+  if (row.branch === 'HEAD') return actions;
+  if (row.upstream) {
+    actions.push({ id: 'pull', key: 'l', label: `Pull --ff-only from ${row.upstream}${row.behind > 0 ? ` (${row.behind} behind)` : ''}` });
+    actions.push({ id: 'push', key: 'p', label: `Push to ${row.upstream}${row.ahead > 0 ? ` (${row.ahead} ahead)` : ''}` });
+  } else if (row.remote) {
+    actions.push({ id: 'push', key: 'p', label: `Push and set upstream ${row.remote}/${row.branch}` });
+  }
+  return actions;
+}
+
+/**
+ * What pushing a row would do: { row, target, setUpstream } or null when there is nothing to push
+ * Branches without upstream are pushed to the row's remote under the same name
+ */
+function planPush(row) {
+  if (row.loading || !row.branch || row.branch === 'HEAD' || row.branch === 'unknown') return null;
+  if (row.upstream) {
+    return row.ahead > 0 ? { row, target: row.upstream, setUpstream: null } : null;
+  }
+  if (!row.remote) return null;
+  return { row, target: `${row.remote}/${row.branch}`, setUpstream: { remote: row.remote, branch: row.branch } };
+}
+
+/**
+ * Why a row behind its upstream cannot be fast-forwarded safely, or null when it can
+ * (uses the row's last refresh: changes from getGitStats, ahead/behind from getRemoteStatus)
+ */
+function getSyncBlocker(row) {
+  if (row.missing) return 'missing on disk';
+  if (row.submodule?.state === 'uninitialized') return 'not checked out';
+  if (!row.branch || row.branch === 'unknown') return 'status unknown';
+  if (row.branch === 'HEAD') return 'detached HEAD';
+  if (!row.upstream) return 'no upstream';
+  if (row.ahead > 0) return `diverged (${row.ahead} ahead, ${row.behind} behind)`;
+  // Untracked files alone do not stop a fast-forward
+  const tracked = row.changes ? row.changes.files - (row.changes.untracked || 0) : 0;
+  if (tracked > 0) return `uncommitted changes (${tracked} file${tracked === 1 ? '' : 's'})`;
+  return null;
+}
+
+/**
+ * Failure text with its hint, if any
+ */
+function describeFailure(result) {
+  return `${result.message}${result.hint ? ` - ${result.hint}` : ''}`;
+}
+
+/**
+ * Status line for a finished row operation; failures point at the error log
+ */
+function formatOperationMessage(row, result) {
+  return result.success
+    ? `${row.name}: ${result.message}`
+    : `${row.name}: ${describeFailure(result)} (e: error log)`;
+}
+
+/**
+ * Format "done/total" progress suffix (empty when no progress tracked)
+ */
+function formatProgress(progress) {
+  return progress ? ` ${progress.done}/${progress.total}` : '';
+}
+
+// ============================================================================
+// Startup Mode Parsing
+// ============================================================================
+
+/**
+ * Parse startup mode string to extract command
+ * 'none' → null
+ * 'with /git:commit' → '/git:commit'
+ */
+function parseStartupMode(mode) {
+  if (mode === 'none') return null;
+  const match = mode.match(/^with\s+(.+)$/);
+  return match ? match[1] : null;
+}
+
+// ============================================================================
+// IDE Detection
+// ============================================================================
+
+/**
+ * Known IDEs for cross-platform discovery
+ * commands: CLI launchers looked up on PATH / in JetBrains Toolbox scripts
+ * desktopName: matched against Name= in .desktop files
+ */
+const KNOWN_IDES = [
+  { name: 'WebStorm', commands: ['webstorm', 'webstorm.sh'], desktopName: /webstorm/i },
+  { name: 'IntelliJ', commands: ['idea', 'idea.sh', 'intellij-idea-ultimate', 'intellij-idea-community'], desktopName: /intellij idea/i },
+  { name: 'VSCode', commands: ['code'], desktopName: /^visual studio code$/i },
+  { name: 'Cursor', commands: ['cursor'], desktopName: /^cursor$/i },
+  { name: 'Zed', commands: ['zed', 'zeditor'], desktopName: /^zed/i },
+  { name: 'PyCharm', commands: ['pycharm', 'pycharm.sh', 'charm'], desktopName: /pycharm/i },
+  { name: 'GoLand', commands: ['goland', 'goland.sh'], desktopName: /goland/i },
+  { name: 'Rider', commands: ['rider', 'rider.sh'], desktopName: /rider/i },
+  { name: 'CLion', commands: ['clion', 'clion.sh'], desktopName: /clion/i },
+  { name: 'PhpStorm', commands: ['phpstorm', 'phpstorm.sh'], desktopName: /phpstorm/i },
+  { name: 'RustRover', commands: ['rustrover', 'rustrover.sh'], desktopName: /rustrover/i },
+  { name: 'Sublime Text', commands: ['subl'], desktopName: /^sublime text/i },
+];
+
+/**
+ * Detect IDEs from Windows Start Menu shortcuts
+ */
+function detectStartMenuIDEs() {
+  const ides = [];
+  const jetBrainsPath = 'C:\\ProgramData\\Microsoft\\Windows\\Start Menu\\Programs\\JetBrains';
 
   if (fs.existsSync(jetBrainsPath)) {
     try {
@@ -589,6 +1419,153 @@ function detectIDEs() {
   return ides;
 }
 
+/**
+ * Detect IDE command-line launchers on PATH (code, webstorm, idea, ...)
+ */
+function detectPathIDEs() {
+  const ides = [];
+  for (const known of KNOWN_IDES) {
+    const cmd = known.commands.find(c => findOnPath(c));
+    if (cmd) ides.push({ name: known.name, command: cmd });
+  }
+  return ides;
+}
+
+/**
+ * Get JetBrains Toolbox "shell scripts" directory for current platform
+ */
+function getToolboxScriptsDir() {
+  const home = process.env.USERPROFILE || process.env.HOME || '';
+  if (process.platform === 'win32') {
+    const localAppData = process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local');
+    return path.join(localAppData, 'JetBrains', 'Toolbox', 'scripts');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(home, 'Library', 'Application Support', 'JetBrains', 'Toolbox', 'scripts');
+  }
+  return path.join(home, '.local', 'share', 'JetBrains', 'Toolbox', 'scripts');
+}
+
+/**
+ * Detect JetBrains IDEs from Toolbox generated scripts
+ */
+function detectToolboxIDEs() {
+  const ides = [];
+  const scriptsDir = getToolboxScriptsDir();
+  if (!fs.existsSync(scriptsDir)) return ides;
+
+  try {
+    const files = fs.readdirSync(scriptsDir);
+    for (const known of KNOWN_IDES) {
+      const script = files.find(f => known.commands.includes(f.replace(/\.(cmd|bat|sh)$/i, '')));
+      if (script) ides.push({ name: known.name, command: path.join(scriptsDir, script) });
+    }
+  } catch (e) {
+    // Ignore errors
+  }
+  return ides;
+}
+
+/**
+ * Parse Name= and Exec= from a .desktop file
+ * Exec field codes (%f, %U, ...) and Flatpak's file-forwarding markers (@@, @@u) are dropped
+ */
+function parseDesktopFile(content) {
+  const section = content.split(/^\[/m).find(s => s.startsWith('Desktop Entry]')) || '';
+  const name = section.match(/^Name=(.*)$/m);
+  const exec = section.match(/^Exec=(.*)$/m);
+  if (!name || !exec) return null;
+  return {
+    name: name[1].trim(),
+    exec: exec[1].replace(/\s+(%[a-zA-Z]|@@u?)(?=\s|$)/g, '').trim(),
+  };
+}
+
+/**
+ * Detect IDEs from XDG .desktop files (Linux)
+ */
+function detectDesktopFileIDEs() {
+  const ides = [];
+  const home = process.env.HOME || '';
+  const dirs = [
+    path.join(home, '.local', 'share', 'applications'),
+    path.join(home, '.local', 'share', 'flatpak', 'exports', 'share', 'applications'),
+    '/usr/share/applications',
+    '/usr/local/share/applications',
+    '/var/lib/flatpak/exports/share/applications',
+    '/var/lib/snapd/desktop/applications',
+  ];
+
+  for (const dir of dirs) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(f => f.endsWith('.desktop'));
+    } catch (e) {
+      continue;
+    }
+    for (const file of files) {
+      let parsed;
+      try {
+        parsed = parseDesktopFile(fs.readFileSync(path.join(dir, file), 'utf8'));
+      } catch (e) {
+        continue;
+      }
+      if (!parsed) continue;
+      const known = KNOWN_IDES.find(k => k.desktopName.test(parsed.name));
+      if (known && !ides.some(i => i.name === known.name)) {
+        ides.push({ name: known.name, command: parsed.exec, desktopFile: path.join(dir, file) });
+      }
+    }
+  }
+  return ides;
+}
+
+/**
+ * Detect installed IDEs
+ * Sources in priority order (first match per IDE name wins):
+ * Windows Start Menu, PATH, JetBrains Toolbox scripts, .desktop files
+ */
+function detectIDEs() {
+  const ides = [];
+  const sources = process.platform === 'win32'
+    ? [detectStartMenuIDEs, detectPathIDEs, detectToolboxIDEs]
+    : process.platform === 'darwin'
+      ? [detectPathIDEs, detectToolboxIDEs]
+      : [detectPathIDEs, detectToolboxIDEs, detectDesktopFileIDEs];
+
+  for (const source of sources) {
+    for (const ide of source()) {
+      if (!ides.some(i => i.name === ide.name)) ides.push(ide);
+    }
+  }
+  return ides;
+}
+
+/**
+ * Merge freshly detected IDEs into configured ones
+ * Existing IDEs keep user-edited fields (only missing fields are filled in, and
+ * never a second launch target), newly detected IDEs are appended. Returns { ides, added }
+ */
+function mergeDetectedIDEs(existing, detected) {
+  const ides = existing.map(ide => {
+    const found = detected.find(d => d.name === ide.name);
+    if (!found) return ide;
+    if (getIdeTarget(ide)) {
+      const { command, path: idePath, shortcut, ...rest } = found;
+      return { ...rest, ...ide };
+    }
+    return { ...found, ...ide };
+  });
+  let added = 0;
+  for (const ide of detected) {
+    if (!ides.some(i => i.name === ide.name)) {
+      ides.push(ide);
+      added++;
+    }
+  }
+  return { ides, added };
+}
+
 // ============================================================================
 // Claude Command Detection
 // ============================================================================
@@ -629,59 +1606,249 @@ function getClaudeCommand() {
   // Auto-detect and save
   const detected = detectClaudeCommand();
   if (config) {
-    config.claudeCommand = detected;
-    saveJson(paths.config, config);
+    updateJson(paths.config, current => ({ ...current, claudeCommand: detected }));
   }
   return detected;
 }
 
 // ============================================================================
-// Git Operations
+// Async Git Runner
 // ============================================================================
 
+const DEFAULT_GIT_CONCURRENCY = 8;
+// Output limit for a single git command (large diffs)
+const GIT_MAX_BUFFER = 32 * 1024 * 1024;
+
 /**
- * Execute git command in repo directory
- * Returns trimmed output or null on error/missing .git
+ * Run a command asynchronously in repo directory: a shell command line, or an
+ * array of git arguments run without a shell (for file and branch names)
+ * Resolves { ok, stdout, stderr, code, duration } - never rejects
+ */
+function gitRun(repoPath, cmd, timeout = 5000) {
+  const fullPath = path.join(WORKSPACE_ROOT, repoPath);
+  const started = Date.now();
+  const options = { cwd: fullPath, encoding: 'utf8', timeout, windowsHide: true, maxBuffer: GIT_MAX_BUFFER };
+  return new Promise(resolve => {
+    const done = (err, stdout, stderr) => {
+      resolve({
+        ok: !err,
+        stdout: stdout || '',
+        stderr: stderr || '',
+        code: err ? (typeof err.code === 'number' ? err.code : null) : 0,
+        timedOut: Boolean(err && err.killed),
+        duration: Date.now() - started,
+      });
+    };
+    if (Array.isArray(cmd)) {
+      execFile('git', cmd, options, done);
+    } else {
+      exec(cmd, options, done);
+    }
+  });
+}
+
+/**
+ * Command line of a gitRun command for display and the operation log
+ */
+function formatGitCommand(cmd) {
+  return Array.isArray(cmd) ? formatCommandLine('git', cmd, shQuote) : cmd;
+}
+
+/**
+ * Run worker over items with at most `concurrency` running at once
+ * onProgress(done, total, item, result) is called as each item completes.
+ * A throwing worker yields null for its item instead of rejecting the pool.
+ */
+async function runPool(items, worker, concurrency = DEFAULT_GIT_CONCURRENCY, onProgress = null) {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = await worker(items[i], i);
+      } catch (e) {
+        results[i] = null;
+      }
+      done++;
+      if (onProgress) onProgress(done, items.length, items[i], results[i]);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency || DEFAULT_GIT_CONCURRENCY, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+// ============================================================================
+// Operation Log
+// ============================================================================
+
+// Failed operations kept in operations.json, and successes kept in memory (oldest dropped first)
+const OPERATION_LOG_LIMIT = 200;
+// Characters kept per output stream - git reports the useful part last
+const OPERATION_OUTPUT_LIMIT = 4000;
+
+// Hints for common git failures, first matching pattern wins
+const FAILURE_HINTS = [
+  { pattern: /authentication failed|could not read (username|password)|permission denied \(publickey|terminal prompts disabled|returned error: 40[13]/i,
+    hint: 'Authentication failed - check the credential helper or SSH key for this remote' },
+  { pattern: /non-fast-forward|fetch first|updates were rejected/i,
+    hint: 'Remote has commits you do not have - pull (or rebase) first, then push again' },
+  { pattern: /has no upstream branch|no upstream configured|no tracking information/i,
+    hint: 'Branch has no upstream - push it with set upstream (Enter, then p)' },
+  { pattern: /not possible to fast-forward|diverging branches/i,
+    hint: 'Local and remote have diverged - merge or rebase in the repo' },
+  { pattern: /would be overwritten|your local changes/i,
+    hint: 'Local changes are in the way - commit or stash them first' },
+  { pattern: /could not resolve host|unable to access|connection (timed out|refused)|network is unreachable/i,
+    hint: 'Remote not reachable - check network, VPN or proxy' },
+  { pattern: /repository not found|does not appear to be a git repository/i,
+    hint: 'Remote repository not found - check the remote URL and access rights' },
+];
+
+/**
+ * Hint for a failed operation record, or null when the failure is not recognised
+ */
+function getFailureHint(record) {
+  if (record.ok) return null;
+  if (record.timedOut) return 'Timed out - the remote may be slow or waiting for credentials';
+  const output = `${record.stderr}\n${record.stdout}`;
+  return FAILURE_HINTS.find(({ pattern }) => pattern.test(output))?.hint || null;
+}
+
+// Successful operations of this session - only failures are worth keeping across sessions
+const sessionOperations = [];
+
+/**
+ * Failures from operations.json plus this session's successes, oldest first
+ */
+function loadOperationLog() {
+  const failures = loadJson(getConfigPaths().operations, { operations: [] }).operations || [];
+  return [...failures, ...sessionOperations].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Log an operation record: failures are appended to operations.json,
+ * successes only kept in memory, so a large fetch cannot push failures out
+ * Returns the record; a failed write does not fail the operation
  */
-function gitExec(repoPath, cmd, timeout = 5000) {
+function recordOperation(repoPath, op, command, result) {
+  const tail = text => (text.length > OPERATION_OUTPUT_LIMIT ? text.slice(-OPERATION_OUTPUT_LIMIT) : text);
+  const record = {
+    time: Date.now(),
+    repo: repoPath,
+    op,
+    command,
+    ok: result.ok,
+    code: result.code,
+    timedOut: result.timedOut,
+    duration: result.duration,
+    stdout: tail(result.stdout),
+    stderr: tail(result.stderr),
+  };
+  if (record.ok) {
+    sessionOperations.push(record);
+    if (sessionOperations.length > OPERATION_LOG_LIMIT) sessionOperations.shift();
+    return record;
+  }
   try {
-    const fullPath = path.join(WORKSPACE_ROOT, repoPath);
-    if (!fs.existsSync(path.join(fullPath, '.git'))) return null;
-    return execSync(cmd, { cwd: fullPath, encoding: 'utf8', timeout, stdio: 'pipe' }).trim();
+    updateJson(getConfigPaths().operations, data => ({
+      version: '1.0.0',
+      operations: [...(data.operations || []), record].slice(-OPERATION_LOG_LIMIT),
+    }));
   } catch (e) {
-    return null;
+    // Log is best effort
   }
+  return record;
 }
 
-function getGitStats(repoPath) {
-  try {
-    const fullPath = path.join(WORKSPACE_ROOT, repoPath);
-    if (!fs.existsSync(path.join(fullPath, '.git'))) {
-      return null;
-    }
+/**
+ * Run a remote-facing git command and log it
+ * Resolves { success, message, hint, record }
+ */
+async function runGitOperation(repoPath, op, cmd, timeout, successMessage) {
+  const result = await gitRun(repoPath, cmd, timeout);
+  const record = recordOperation(repoPath, op, formatGitCommand(cmd), result);
+  return result.ok
+    ? { success: true, message: successMessage, hint: null, record }
+    : { success: false, message: gitErrorMessage(result, `${op} failed`), hint: getFailureHint(record), record };
+}
 
-    const result = execSync('git diff --shortstat', {
-      cwd: fullPath,
-      encoding: 'utf8',
-      timeout: 5000,
-    }).trim();
+// ============================================================================
+// Git Operations
+// ============================================================================
 
-    if (!result) {
-      // Check for staged changes
-      const staged = execSync('git diff --cached --shortstat', {
-        cwd: fullPath,
-        encoding: 'utf8',
-        timeout: 5000,
-      }).trim();
+/**
+ * Execute git command in repo directory
+ * Resolves trimmed output or null on error/missing .git
+ */
+async function gitExec(repoPath, cmd, timeout = 5000) {
+  const fullPath = path.join(WORKSPACE_ROOT, repoPath);
+  if (!fs.existsSync(path.join(fullPath, '.git'))) return null;
+  const result = await gitRun(repoPath, cmd, timeout);
+  return result.ok ? result.stdout.trim() : null;
+}
 
-      if (!staged) return null;
-      return parseGitStats(staged);
-    }
+/**
+ * Local change stats of a repo, null when clean or not a repo
+ * { files, added, removed, staged, unstaged, untracked }: staged/unstaged are
+ * { files, added, removed } from --shortstat, untracked is a file count;
+ * the totals count each changed file once and untracked files have no line counts
+ */
+async function getGitStats(repoPath) {
+  const [unstaged, staged, status] = await Promise.all([
+    gitExec(repoPath, 'git diff --shortstat'),
+    gitExec(repoPath, 'git diff --cached --shortstat'),
+    gitExec(repoPath, 'git status --porcelain --untracked-files=all'),
+  ]);
+  if (unstaged === null || staged === null || status === null || !status) return null;
+
+  const statusLines = status.split('\n').filter(line => line.trim());
+  const stagedStats = parseGitStats(staged);
+  const unstagedStats = parseGitStats(unstaged);
+  return {
+    files: statusLines.length,
+    added: stagedStats.added + unstagedStats.added,
+    removed: stagedStats.removed + unstagedStats.removed,
+    staged: stagedStats,
+    unstaged: unstagedStats,
+    untracked: statusLines.filter(line => line.startsWith('??')).length,
+  };
+}
 
-    return parseGitStats(result);
-  } catch (e) {
-    return null;
+/**
+ * Add change stats into a running total (group rollups); stats cached before
+ * the staged/unstaged split only contribute their totals
+ */
+function addGitStats(total, stats) {
+  total.files += stats.files;
+  total.added += stats.added;
+  total.removed += stats.removed;
+  for (const part of ['staged', 'unstaged']) {
+    if (!stats[part]) continue;
+    total[part].files += stats[part].files;
+    total[part].added += stats[part].added;
+    total[part].removed += stats[part].removed;
   }
+  total.untracked += stats.untracked || 0;
+  return total;
+}
+
+/**
+ * Empty change stats to sum into
+ */
+function emptyGitStats() {
+  return {
+    files: 0,
+    added: 0,
+    removed: 0,
+    staged: { files: 0, added: 0, removed: 0 },
+    unstaged: { files: 0, added: 0, removed: 0 },
+    untracked: 0,
+  };
 }
 
 function parseGitStats(output) {
@@ -697,119 +1864,204 @@ function parseGitStats(output) {
   };
 }
 
-async function scanAllDiffs(entries) {
+/**
+ * Scan git diff stats for entries in parallel
+ * onProgress(done, total, entry, stats) fires as each repo completes
+ */
+async function scanAllDiffs(entries, concurrency, onProgress = null) {
   const diffs = {};
-  for (const entry of entries) {
-    const stats = getGitStats(entry.path);
+  await runPool(entries, async entry => {
+    const stats = await getGitStats(entry.path);
     if (stats) {
       diffs[entry.path] = stats;
     }
-  }
+    return stats;
+  }, concurrency, onProgress);
   return diffs;
 }
 
 /**
  * Get list of changed files for a repo
- * Returns array of { file, status } or null
+ * Resolves array of { file, status } or null
  */
-function getChangedFiles(repoPath) {
-  try {
-    const fullPath = path.join(WORKSPACE_ROOT, repoPath);
-    if (!fs.existsSync(path.join(fullPath, '.git'))) {
-      return null;
+async function getChangedFiles(repoPath) {
+  const fullPath = path.join(WORKSPACE_ROOT, repoPath);
+  if (!fs.existsSync(path.join(fullPath, '.git'))) return null;
+  // Not via gitExec - trimming would eat the leading space of the first status
+  const result = await gitRun(repoPath, 'git status --porcelain -z');
+  return result.ok ? parseStatusPorcelain(result.stdout) : null;
+}
+
+/**
+ * Parse `git status --porcelain -z` output
+ * Returns array of { status, file, from } or null when clean; file is the path
+ * as on disk (never quoted), from the original path of a rename or copy
+ */
+function parseStatusPorcelain(output) {
+  if (!output) return null;
+
+  // Git porcelain format: "XY filename", NUL-terminated
+  // X = index status, Y = worktree status, then space, then filename
+  // Examples: " M file.txt", "?? file.txt", "MM file.txt", "A  file.txt"
+  // Renames and copies are followed by a second entry with the original path
+  const records = output.split('\0');
+  const files = [];
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (record.length < 4) continue; // Skip the empty tail
+    const status = record.slice(0, 2);
+    const file = record.slice(3); // Skip "XY "
+    if (status[0] === 'R' || status[0] === 'C') {
+      files.push({ status, file, from: records[++i] });
+    } else {
+      files.push({ status, file });
     }
+  }
+  return files.length > 0 ? files : null;
+}
 
-    // Get both staged and unstaged changes
-    const result = execSync('git status --porcelain', {
-      cwd: fullPath,
-      encoding: 'utf8',
-      timeout: 5000,
-    });
+/**
+ * Changed file as shown to the user: "old -> new" for renames and copies
+ */
+function formatChangedFile({ file, from }) {
+  return from ? `${from} -> ${file}` : file;
+}
 
-    if (!result || !result.trim()) return null;
-
-    return result.split('\n')
-      .filter(line => line.length >= 3) // Skip empty lines
-      .map(line => {
-        // Git porcelain format: "XY filename"
-        // X = index status, Y = worktree status, then space, then filename
-        // Examples: " M file.txt", "?? file.txt", "MM file.txt", "A  file.txt"
-        line = line.replace(/\r$/, '');
-        // Status is first 2 chars, filename starts after space at index 2
-        const status = line.slice(0, 2);
-        const file = line.slice(3); // Skip "XY "
-        return { status, file };
-      });
-  } catch (e) {
-    return null;
+// Lines kept per diff section (staged / unstaged / untracked), the rest is cut
+const DIFF_MAX_LINES = 5000;
+
+/**
+ * All paths a changed file touches: both sides of a rename, else the file itself
+ */
+function getChangedFilePaths({ file, from }) {
+  return from ? [from, file] : [file];
+}
+
+/**
+ * Whether a porcelain status has changes in the index
+ */
+function isStagedStatus(status) {
+  return status[0] !== ' ' && status[0] !== '?';
+}
+
+/**
+ * Diff of one changed file, staged and unstaged separately; untracked files
+ * are shown as all-new content
+ * Resolves [{ title, lines }] with only the non-empty sections
+ */
+async function getFileDiff(repoPath, changed) {
+  const { status, file } = changed;
+  const cut = lines => (lines.length > DIFF_MAX_LINES
+    ? [...lines.slice(0, DIFF_MAX_LINES), `... ${lines.length - DIFF_MAX_LINES} more lines not shown`]
+    : lines);
+
+  if (status === '??') {
+    try {
+      const content = fs.readFileSync(path.join(WORKSPACE_ROOT, repoPath, file));
+      if (content.includes(0)) return [{ title: 'Untracked', lines: ['Binary file'] }];
+      const lines = content.toString('utf8').split(/\r?\n/);
+      if (lines[lines.length - 1] === '') lines.pop();
+      return [{ title: 'Untracked (new file)', lines: cut(lines.map(line => `+${line}`)) }];
+    } catch (e) {
+      return [{ title: 'Untracked', lines: [`Cannot read file: ${e.message}`] }];
+    }
+  }
+
+  // Both sides of a rename, so git pairs them up instead of showing a new file
+  const paths = getChangedFilePaths(changed);
+  const [staged, unstaged] = await Promise.all([
+    gitRun(repoPath, ['-c', 'core.quotePath=false', 'diff', '--cached', '-M', '--no-color', '--', ...paths], 30000),
+    gitRun(repoPath, ['-c', 'core.quotePath=false', 'diff', '--no-color', '--', ...paths], 30000),
+  ]);
+  const sections = [];
+  for (const [title, result] of [['Staged', staged], ['Unstaged', unstaged]]) {
+    if (!result.ok) {
+      sections.push({ title, lines: [gitErrorMessage(result, 'git diff failed')] });
+    } else if (result.stdout.trim()) {
+      sections.push({ title, lines: cut(result.stdout.replace(/\n$/, '').split(/\r?\n/)) });
+    }
   }
+  return sections;
+}
+
+/**
+ * Color one line of a unified diff
+ */
+function colorDiffLine(line) {
+  if (/^(diff --git|index |--- |\+\+\+ |new file|deleted file|similarity|rename )/.test(line)) return `${ANSI.bold}${line}${ANSI.reset}`;
+  if (line.startsWith('@@')) return `${ANSI.cyan}${line}${ANSI.reset}`;
+  if (line.startsWith('+')) return `${ANSI.green}${line}${ANSI.reset}`;
+  if (line.startsWith('-')) return `${ANSI.red}${line}${ANSI.reset}`;
+  return line;
 }
 
 /**
  * Fetch from remote for a repo
- * Returns true on success, false on error
+ * Resolves { success, message, hint }
  */
-function gitFetch(repoPath) {
-  try {
-    const fullPath = path.join(WORKSPACE_ROOT, repoPath);
-    execSync('git fetch', {
-      cwd: fullPath,
-      encoding: 'utf8',
-      timeout: 30000,
-      stdio: 'pipe',
-    });
-    return true;
-  } catch (e) {
-    return false;
+async function gitFetch(repoPath) {
+  // Not a checkout (e.g. uninitialised submodule) - git would fetch the enclosing repo
+  if (!fs.existsSync(path.join(WORKSPACE_ROOT, repoPath, '.git'))) {
+    return { success: false, message: 'Not checked out', hint: null };
   }
+  return runGitOperation(repoPath, 'fetch', 'git fetch', 30000, 'Fetched');
 }
 
 /**
  * Get remote status for a repo
- * Returns { branch, ahead, behind } or null
+ * Resolves { branch, upstream, remote, ahead, behind } or null
+ * upstream is e.g. 'origin/main' (null when the branch has none); remote is
+ * the remote a new branch would be pushed to ('origin', else the first remote)
  */
-function getRemoteStatus(repoPath) {
-  const branch = gitExec(repoPath, 'git rev-parse --abbrev-ref HEAD');
+async function getRemoteStatus(repoPath) {
+  const branch = await gitExec(repoPath, 'git rev-parse --abbrev-ref HEAD');
   if (!branch) return null;
 
+  const [upstream, remotes] = await Promise.all([
+    gitExec(repoPath, 'git rev-parse --abbrev-ref @{upstream}'),
+    gitExec(repoPath, 'git remote'),
+  ]);
+  const remoteNames = remotes ? remotes.split(/\s+/) : [];
+  const remote = remoteNames.includes('origin') ? 'origin' : (remoteNames[0] || null);
+
   // Get ahead/behind counts
   let ahead = 0, behind = 0;
-  const result = gitExec(repoPath, 'git rev-list --left-right --count HEAD...@{upstream}');
+  const result = upstream ? await gitExec(repoPath, 'git rev-list --left-right --count HEAD...@{upstream}') : null;
   if (result) {
     const parts = result.split(/\s+/);
     ahead = parseInt(parts[0]) || 0;
     behind = parseInt(parts[1]) || 0;
   }
 
-  return { branch, ahead, behind };
+  return { branch, upstream: upstream || null, remote, ahead, behind };
 }
 
 /**
  * Detect the default branch for a repo (main, master, etc.)
- * Returns branch name string, defaults to 'main'
+ * Resolves branch name string, defaults to 'main'
  */
-function detectDefaultBranch(repoPath) {
+async function detectDefaultBranch(repoPath) {
   // Try symbolic-ref first (most reliable - gets origin's default)
-  const ref = gitExec(repoPath, 'git symbolic-ref refs/remotes/origin/HEAD');
+  const ref = await gitExec(repoPath, 'git symbolic-ref refs/remotes/origin/HEAD');
   if (ref) return ref.replace('refs/remotes/origin/', '');
 
   // Fallback: check if 'main' or 'master' branch exists
-  if (gitExec(repoPath, 'git rev-parse --verify main')) return 'main';
-  if (gitExec(repoPath, 'git rev-parse --verify master')) return 'master';
+  if (await gitExec(repoPath, 'git rev-parse --verify main')) return 'main';
+  if (await gitExec(repoPath, 'git rev-parse --verify master')) return 'master';
 
   return 'main'; // default assumption
 }
 
 /**
  * Get ahead/behind status compared to the default branch
- * Returns { ahead, behind, onMain, error }
+ * Resolves { ahead, behind, onMain, error }
  */
-function getStatusVsMain(repoPath, currentBranch, defaultBranch) {
+async function getStatusVsMain(repoPath, currentBranch, defaultBranch) {
   if (currentBranch === defaultBranch) {
     return { ahead: 0, behind: 0, onMain: true, error: false };
   }
 
-  const result = gitExec(repoPath, `git rev-list --left-right --count ${currentBranch}...${defaultBranch}`);
+  const result = await gitExec(repoPath, ['rev-list', '--left-right', '--count', `${currentBranch}...${defaultBranch}`]);
   if (!result) return { ahead: 0, behind: 0, onMain: false, error: true };
 
   const parts = result.split(/\s+/);
@@ -821,152 +2073,1292 @@ function getStatusVsMain(repoPath, currentBranch, defaultBranch) {
   };
 }
 
+// Rows shown on the repo detail screen
+const REPO_DETAIL_COMMITS = 10;
+const REPO_DETAIL_BRANCHES = 20;
+
 /**
- * Push a repo to remote
- * Returns { success, message }
+ * Recent commits on HEAD, newest first
+ * Resolves array of { sha, subject, when, author } (sha is the full hash)
  */
-function gitPush(repoPath) {
-  try {
-    const fullPath = path.join(WORKSPACE_ROOT, repoPath);
-    execSync('git push', {
-      cwd: fullPath,
-      encoding: 'utf8',
-      timeout: 60000,
-      stdio: 'pipe',
-    });
-    return { success: true, message: 'Pushed successfully' };
-  } catch (e) {
-    return { success: false, message: e.message || 'Push failed' };
-  }
+async function getRecentCommits(repoPath, limit = REPO_DETAIL_COMMITS) {
+  const output = await gitExec(repoPath, `git log -n ${limit} --format="%H%x1f%s%x1f%cr%x1f%an"`);
+  if (!output) return [];
+  return output.split('\n').map(line => {
+    const [sha, subject, when, author] = line.split('\x1f');
+    return { sha, subject, when, author };
+  });
 }
 
 /**
- * Scan workspace for git repositories
- * Returns array of { path: string } objects
+ * Full hashes of commits on HEAD not pushed yet: ahead of upstream, or
+ * without upstream, not on any remote-tracking branch
  */
-function scanForRepos() {
-  const repos = [];
-
-  function scanDir(dir, relativePath = '') {
-    try {
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
+async function getUnpushedShas(repoPath, hasUpstream) {
+  const range = hasUpstream ? '@{upstream}..HEAD' : 'HEAD --not --remotes';
+  const output = await gitExec(repoPath, `git rev-list -n 500 ${range}`);
+  return new Set(output ? output.split('\n') : []);
+}
 
-      for (const entry of entries) {
-        if (!entry.isDirectory()) continue;
-        if (entry.name.startsWith('.') && entry.name !== '.git') continue;
-        if (entry.name === 'node_modules') continue;
+/**
+ * Local branches, most recently committed first, with ahead/behind vs the default branch
+ * Resolves array of { name, current, upstream, when, vsDefault }
+ */
+async function listBranches(repoPath, defaultBranch, limit = REPO_DETAIL_BRANCHES) {
+  const output = await gitExec(repoPath,
+    `git for-each-ref --sort=-committerdate --count=${limit} refs/heads --format="%(HEAD)%1f%(refname:short)%1f%(upstream:short)%1f%(committerdate:relative)"`);
+  if (!output) return [];
+  const branches = output.split('\n').map(line => {
+    const [head, name, upstream, when] = line.split('\x1f');
+    return { name, current: head === '*', upstream: upstream || null, when, vsDefault: null };
+  });
+  await Promise.all(branches.map(async branch => {
+    branch.vsDefault = await getStatusVsMain(repoPath, branch.name, defaultBranch);
+  }));
+  return branches;
+}
 
-        const fullPath = path.join(dir, entry.name);
-        const relPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+/**
+ * Everything the repo detail screen shows
+ * Resolves { branch, upstream, ahead, behind, defaultBranch, commits, unpushedCount, branches }
+ */
+async function getRepoDetail(repoPath) {
+  const [status, defaultBranch, commits] = await Promise.all([
+    getRemoteStatus(repoPath),
+    detectDefaultBranch(repoPath),
+    getRecentCommits(repoPath),
+  ]);
+  const [unpushed, branches] = await Promise.all([
+    getUnpushedShas(repoPath, Boolean(status?.upstream)),
+    listBranches(repoPath, defaultBranch),
+  ]);
+  return {
+    branch: status?.branch || 'unknown',
+    upstream: status?.upstream || null,
+    ahead: status?.ahead || 0,
+    behind: status?.behind || 0,
+    defaultBranch,
+    commits: commits.map(commit => ({ ...commit, unpushed: unpushed.has(commit.sha) })),
+    unpushedCount: unpushed.size,
+    branches,
+  };
+}
 
-        if (entry.name === '.git') {
-          // Found a repo - add the parent path
-          repos.push({ path: relativePath || '.' });
-          return; // Don't scan inside .git
-        }
+/**
+ * Check out a local branch
+ * Resolves { success, message }
+ */
+async function gitCheckout(repoPath, branch) {
+  const result = await gitRun(repoPath, ['checkout', branch], 30000);
+  return result.ok
+    ? { success: true, message: `Switched to ${branch}` }
+    : { success: false, message: gitErrorMessage(result, 'Checkout failed') };
+}
+
+/**
+ * Stage one changed file (deletions included)
+ * Resolves { success, message }
+ */
+async function gitStageFile(repoPath, changed) {
+  const result = await gitRun(repoPath, ['add', '-A', '--', ...getChangedFilePaths(changed)], 30000);
+  return result.ok
+    ? { success: true, message: `Staged ${formatChangedFile(changed)}` }
+    : { success: false, message: gitErrorMessage(result, 'Stage failed') };
+}
+
+/**
+ * Unstage one changed file, keeping its changes in the working tree
+ * Resolves { success, message }
+ */
+async function gitUnstageFile(repoPath, changed) {
+  const result = await gitRun(repoPath, ['reset', '-q', '--', ...getChangedFilePaths(changed)], 30000);
+  return result.ok
+    ? { success: true, message: `Unstaged ${formatChangedFile(changed)}` }
+    : { success: false, message: gitErrorMessage(result, 'Unstage failed') };
+}
+
+/**
+ * Throw away all changes of one file, staged and unstaged
+ * Untracked files are deleted, files added in the index are removed,
+ * renames are undone, everything else is restored from HEAD
+ * Resolves { success, message }
+ */
+async function gitDiscardFile(repoPath, changed) {
+  const { status } = changed;
+  const file = formatChangedFile(changed);
+  const paths = getChangedFilePaths(changed);
+  if (status === '??') {
+    const fullPath = path.join(WORKSPACE_ROOT, repoPath, paths[0]);
+    if (!fs.existsSync(fullPath)) return { success: false, message: `Not found: ${file}` };
+    try {
+      fs.rmSync(fullPath, { recursive: true });
+      return { success: true, message: `Deleted ${file}` };
+    } catch (e) {
+      return { success: false, message: e.message };
+    }
+  }
+
+  const target = paths[paths.length - 1];
+  const steps = [['checkout', 'HEAD', '--', target]];
+  if (status[0] === 'A') {
+    steps[0] = ['rm', '-q', '-f', '--', target];
+  } else if (status[0] === 'R' && paths.length === 2) {
+    steps.unshift(['rm', '-q', '-f', '--', target]);
+    steps[1] = ['checkout', 'HEAD', '--', paths[0]];
+  }
+  let result = null;
+  for (const args of steps) {
+    result = await gitRun(repoPath, args, 30000);
+    if (!result.ok) break;
+  }
+  return result.ok
+    ? { success: true, message: `Discarded ${file}` }
+    : { success: false, message: gitErrorMessage(result, 'Discard failed') };
+}
+
+/**
+ * Commit staged changes with a one-line message
+ * Resolves { success, message }
+ */
+async function gitCommit(repoPath, message) {
+  const result = await gitRun(repoPath, ['commit', '-q', '-m', message], 60000);
+  if (!result.ok) {
+    // "nothing to commit" and hook output go to stdout
+    const fallback = result.stdout.trim().split(/\r?\n/).pop() || 'Commit failed';
+    return { success: false, message: gitErrorMessage(result, fallback) };
+  }
+  const sha = await gitExec(repoPath, 'git rev-parse --short HEAD');
+  return { success: true, message: `Committed ${sha || ''}`.trim() };
+}
+
+/**
+ * Submodule paths (relative to the repo) declared in its .gitmodules
+ */
+function readSubmodulePaths(repoPath) {
+  try {
+    const content = fs.readFileSync(path.join(WORKSPACE_ROOT, repoPath, '.gitmodules'), 'utf8');
+    return content.split(/\r?\n/)
+      .map(line => line.match(/^\s*path\s*=\s*(.+?)\s*$/))
+      .filter(Boolean)
+      .map(match => match[1].replace(/\\/g, '/'));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Parse `git submodule status` output
+ * Returns array of { path, sha, state } where state is 'ok' (at the recorded commit),
+ * 'uninitialized', 'modified' (checked out commit differs from the recorded one) or 'conflict'
+ */
+function parseSubmoduleStatus(output) {
+  const states = { ' ': 'ok', '-': 'uninitialized', '+': 'modified', 'U': 'conflict' };
+  return (output || '').split('\n')
+    .map(line => line.replace(/\r$/, '').match(/^([ +\-U])([0-9a-f]+) (.+?)(?: \(.*\))?$/))
+    .filter(Boolean)
+    .map(([, flag, sha, subPath]) => ({ path: subPath, sha, state: states[flag] }));
+}
+
+/**
+ * Get the status of one submodule as recorded in its parent repo
+ * Resolves { path, sha, state } or null
+ */
+async function getSubmoduleStatus(parentPath, subPath) {
+  const result = await gitRun(parentPath, ['submodule', 'status', '--', subPath]);
+  if (!result.ok) return null;
+  return parseSubmoduleStatus(result.stdout)[0] || null;
+}
+
+/**
+ * Check out submodules at the commits recorded in the parent (initializing them first)
+ * subPath = null updates all submodules of the repo, recursively
+ * Resolves { success, message, hint }
+ */
+async function gitSubmoduleUpdate(parentPath, subPath = null) {
+  const cmd = subPath
+    ? ['submodule', 'update', '--init', '--', subPath]
+    : 'git submodule update --init --recursive';
+  return runGitOperation(parentPath, 'submodule update', cmd, 120000, 'Submodules updated');
+}
+
+/**
+ * Most telling line of git's stderr: the last error:/fatal: line, else the last
+ * line that is not a 'hint:' (full output is kept in the operation log)
+ */
+function gitErrorMessage(result, fallback) {
+  const lines = result.stderr.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('hint:'));
+  return [...lines].reverse().find(l => /^(error|fatal):/.test(l)) || lines.pop() || fallback;
+}
+
+/**
+ * Push a repo to remote
+ * With setUpstream ({ remote, branch }), pushes a new branch and sets its upstream
+ * Resolves { success, message, hint }
+ */
+async function gitPush(repoPath, setUpstream = null) {
+  const cmd = setUpstream
+    ? ['push', '--set-upstream', setUpstream.remote, setUpstream.branch]
+    : 'git push';
+  const message = setUpstream ? `Pushed, tracking ${setUpstream.remote}/${setUpstream.branch}` : 'Pushed successfully';
+  return runGitOperation(repoPath, 'push', cmd, 60000, message);
+}
+
+/**
+ * Subjects of commits a push would send ('<sha> <subject>'), newest first
+ * Without upstream, commits not on any remote-tracking branch
+ */
+async function getOutgoingCommits(repoPath, hasUpstream, limit = 5) {
+  const range = hasUpstream ? '@{upstream}..HEAD' : 'HEAD --not --remotes';
+  const output = await gitExec(repoPath, `git log --format="%h %s" -n ${limit + 1} ${range}`);
+  return output ? output.split('\n') : [];
+}
+
+/**
+ * Fast-forward the current branch to its upstream (never creates a merge commit)
+ * Resolves { success, message, hint }
+ */
+async function gitPullFastForward(repoPath) {
+  return runGitOperation(repoPath, 'pull', 'git pull --ff-only', 60000, 'Fast-forwarded');
+}
 
-        // Recurse into subdirectory
-        scanDir(fullPath, relPath);
+// Directories never descended into unless scan.exclude is set
+const DEFAULT_SCAN_EXCLUDE = ['node_modules'];
+
+/**
+ * Scan settings from config.scan with defaults filled in
+ */
+function getScanSettings(config) {
+  const scan = config?.scan || {};
+  return {
+    roots: scan.roots || [],                       // extra roots (absolute or relative to workspace)
+    maxDepth: Number.isInteger(scan.maxDepth) ? scan.maxDepth : null, // null = unlimited
+    exclude: scan.exclude || DEFAULT_SCAN_EXCLUDE, // gitignore-style globs
+    nested: scan.nested === true,                  // descend into repos (nested repos, submodules)
+  };
+}
+
+/**
+ * Convert a gitignore-style glob to a RegExp over '/'-separated relative paths
+ * A pattern without '/' (except a trailing one) matches the name at any depth;
+ * a leading or inner '/' anchors it to the scan root. '**' spans directories.
+ * Windows '\' separators count as '/'; everything but '*' and '?' matches literally
+ */
+function globToRegExp(pattern) {
+  let glob = pattern.replace(/\\/g, '/').replace(/\/+$/, '');
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\//, '');
+
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?'; // '**/' - zero or more directories
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
       }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(anchored ? `^${re}$` : `(^|/)${re}$`);
+}
+
+/**
+ * Compile exclude patterns; '!pattern' re-includes (last matching pattern wins)
+ */
+function compileExcludes(patterns) {
+  return patterns.filter(p => p && !p.startsWith('#')).map(p => (p.startsWith('!')
+    ? { regex: globToRegExp(p.slice(1)), negate: true }
+    : { regex: globToRegExp(p), negate: false }));
+}
+
+function isExcluded(relPath, excludes) {
+  const normalized = relPath.replace(/\\/g, '/');
+  let excluded = false;
+  for (const { regex, negate } of excludes) {
+    if (regex.test(normalized)) excluded = !negate;
+  }
+  return excluded;
+}
+
+/**
+ * Scan workspace (and scan.roots) for git repositories
+ * Returns array of { path: string } objects, paths relative to the workspace;
+ * repos inside repos (found with scan.nested) carry parentRepo, worktrees worktreeOf
+ */
+function scanForRepos(settings = getScanSettings(null), workspaceRoot = WORKSPACE_ROOT) {
+  const repos = [];
+  const seen = new Set();
+  const excludes = compileExcludes(settings.exclude);
+
+  function scanDir(rootDir, dir, depth, parentRepo) {
+    // Linked worktree (.git file) - listed with its main repo instead
+    if (depth > 0 && isLinkedWorktree(dir)) return;
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
     } catch (e) {
-      // Ignore permission errors etc
+      return; // Ignore permission errors etc
+    }
+
+    let repoPath = parentRepo;
+    if (entries.some(entry => entry.name === '.git')) {
+      const relPath = path.relative(workspaceRoot, dir).replace(/\\/g, '/') || '.';
+      if (!seen.has(relPath)) {
+        seen.add(relPath);
+        const repo = parentRepo ? { path: relPath, parentRepo } : { path: relPath };
+        const remote = readRemoteUrl(dir);
+        if (remote) repo.remote = remote; // lets reconcile find the repo after a move
+        repos.push(repo);
+      }
+      repoPath = relPath;
+      if (!settings.nested) return; // Don't scan inside repos
+    }
+
+    if (settings.maxDepth !== null && depth >= settings.maxDepth) return;
+
+    const relToRoot = path.relative(rootDir, dir).replace(/\\/g, '/');
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      if (entry.name.startsWith('.')) continue;
+      const childRel = relToRoot ? `${relToRoot}/${entry.name}` : entry.name;
+      if (isExcluded(childRel, excludes)) continue;
+      scanDir(rootDir, path.join(dir, entry.name), depth + 1, repoPath);
     }
   }
 
-  scanDir(WORKSPACE_ROOT);
-  return repos;
+  for (const root of ['.', ...settings.roots]) {
+    const rootDir = path.resolve(workspaceRoot, root);
+    scanDir(rootDir, rootDir, 0, null);
+  }
+
+  // Each repo followed by its linked worktrees (which may live outside the workspace)
+  return repos.flatMap(repo => [repo, ...listWorktrees(repo.path, workspaceRoot)]);
+}
+
+/**
+ * Compare scan results with the previous repos.json
+ * Returns { added, removed } path lists
+ */
+function diffRepoLists(previous, current) {
+  const previousPaths = new Set(previous.map(r => r.path));
+  const currentPaths = new Set(current.map(r => r.path));
+  return {
+    added: current.filter(r => !previousPaths.has(r.path)).map(r => r.path),
+    removed: previous.filter(r => !currentPaths.has(r.path)).map(r => r.path),
+  };
+}
+
+/**
+ * Scan with config.scan settings, save repos.json
+ * Returns { repos, reposFile, report: { added, removed } }
+ */
+function runRepoScan() {
+  const paths = getConfigPaths();
+  const previousData = loadJson(paths.repos, { repositories: [] });
+  const previous = previousData.repositories || [];
+  const repos = scanForRepos(getScanSettings(loadJson(paths.config)));
+  const report = diffRepoLists(previous, repos);
+
+  // Vanished records (with their remote) are kept until reconciled or found again
+  const currentPaths = new Set(repos.map(r => r.path));
+  const vanished = [
+    ...(previousData.vanished || []).filter(r => !currentPaths.has(r.path) && !report.removed.includes(r.path)),
+    ...previous.filter(r => report.removed.includes(r.path)),
+  ];
+  const reposFile = saveRepos(repos, vanished);
+  return { repos, vanished, reposFile, report };
+}
+
+/**
+ * One-line scan summary: "Found 12 repositories (+2 new, -1 vanished)"
+ */
+function formatScanSummary(repos, report) {
+  const changes = [];
+  if (report.added.length > 0) changes.push(`+${report.added.length} new`);
+  if (report.removed.length > 0) changes.push(`-${report.removed.length} vanished`);
+  return `Found ${repos.length} repositories${changes.length > 0 ? ` (${changes.join(', ')})` : ''}`;
 }
 
 /**
  * Save repos.json
  */
-function saveRepos(repositories) {
+function saveRepos(repositories, vanished = []) {
   const paths = getConfigPaths();
   const data = {
     version: '1.0.0',
     updatedAt: new Date().toISOString().split('T')[0],
     repositories,
   };
+  if (vanished.length > 0) data.vanished = vanished;
   saveJson(paths.repos, data);
   return paths.repos;
 }
 
 /**
- * Get desktop path for current user
+ * Get desktop path for current user
+ */
+function getDesktopPath() {
+  const home = process.env.USERPROFILE || process.env.HOME;
+  return path.join(home, 'Desktop');
+}
+
+/**
+ * Create desktop shortcut as a .cmd file
+ * Returns true on success, error message on failure
+ */
+function createDesktopShortcut(launcherScriptPath) {
+  const desktop = getDesktopPath();
+  const shortcutPath = path.join(desktop, 'Claude Launcher.cmd');
+  const workDir = path.dirname(launcherScriptPath);
+
+  // Simple batch file - font size must be configured in Windows Terminal settings
+  const cmdContent = `@echo off
+cd /d "${workDir}"
+powershell -ExecutionPolicy Bypass -File "${launcherScriptPath}"
+`;
+
+  try {
+    fs.writeFileSync(shortcutPath, cmdContent, 'utf8');
+    return true;
+  } catch (e) {
+    return `Failed to create shortcut: ${e.message}`;
+  }
+}
+
+/**
+ * Check if desktop shortcut exists
+ */
+function desktopShortcutExists() {
+  const desktop = getDesktopPath();
+  const shortcutPath = path.join(desktop, 'Claude Launcher.cmd');
+  return fs.existsSync(shortcutPath);
+}
+
+// ============================================================================
+// Git Worktrees
+// ============================================================================
+
+// Branch names accepted when creating a worktree (safe unquoted in any shell)
+const WORKTREE_BRANCH_PATTERN = /^\w[\w./-]*$/;
+
+/**
+ * Read the gitdir a `.git` file points to (linked worktrees and submodules use one)
+ * Returns absolute gitdir path or null
+ */
+function readGitFile(dir) {
+  try {
+    const content = fs.readFileSync(path.join(dir, '.git'), 'utf8');
+    const match = content.match(/^gitdir:\s*(.+)$/m);
+    return match ? path.resolve(dir, match[1].trim()) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether dir is a linked worktree: `.git` file whose gitdir has a commondir
+ */
+function isLinkedWorktree(dir) {
+  const gitDir = readGitFile(dir);
+  return !!gitDir && fs.existsSync(path.join(gitDir, 'commondir'));
+}
+
+/**
+ * Branch from a HEAD file, or null when detached
+ */
+function readHeadBranch(gitDir) {
+  try {
+    const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+    const match = head.match(/^ref: refs\/heads\/(.+)$/);
+    return match ? match[1] : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Linked worktrees of a repo, read from .git/worktrees/* without running git
+ * Returns [{ path, worktreeOf, branch }], paths relative to the workspace (may start with ../)
+ * Worktrees whose directory is gone (prunable) are skipped
+ */
+function listWorktrees(repoPath, workspaceRoot = WORKSPACE_ROOT) {
+  const worktreesDir = path.join(workspaceRoot, repoPath, '.git', 'worktrees');
+  let names;
+  try {
+    names = fs.readdirSync(worktreesDir);
+  } catch (e) {
+    return [];
+  }
+
+  const worktrees = [];
+  for (const name of names) {
+    const adminDir = path.join(worktreesDir, name);
+    let gitFilePath;
+    try {
+      gitFilePath = fs.readFileSync(path.join(adminDir, 'gitdir'), 'utf8').trim();
+    } catch (e) {
+      continue;
+    }
+    const dir = path.dirname(path.resolve(adminDir, gitFilePath));
+    if (!fs.existsSync(dir)) continue;
+    worktrees.push({
+      path: path.relative(workspaceRoot, dir).replace(/\\/g, '/'),
+      worktreeOf: repoPath,
+      branch: readHeadBranch(adminDir),
+    });
+  }
+  return worktrees.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Group repos.json worktree records by main repo path
+ */
+function groupWorktrees(repositories) {
+  const byRepo = {};
+  for (const repo of repositories) {
+    if (!repo.worktreeOf) continue;
+    (byRepo[repo.worktreeOf] = byRepo[repo.worktreeOf] || []).push(repo);
+  }
+  return byRepo;
+}
+
+/**
+ * Virtual menu entries for an entry's worktrees, labelled by branch
+ * They inherit the main entry's IDE and Claude options
+ */
+function getWorktreeEntries(entry, worktreesByRepo) {
+  if (!entry.path || !worktreesByRepo) return [];
+  return (worktreesByRepo[entry.path] || []).map(wt => ({
+    type: 'worktree',
+    path: wt.path,
+    name: wt.branch || `(detached) ${path.basename(wt.path)}`,
+    ide: entry.ide,
+    claude: entry.claude,
+    worktreeOf: entry.path,
+  }));
+}
+
+/**
+ * Worktree entries of every entry in the tree
+ */
+function collectWorktreeEntries(entries, worktreesByRepo) {
+  return collectAllEntries(entries).flatMap(entry => getWorktreeEntries(entry, worktreesByRepo));
+}
+
+/**
+ * Whether an entry has rows below it in the main menu (children or worktrees)
+ */
+function hasMenuChildren(entry, worktreesByRepo) {
+  return (entry.children?.length > 0) || getWorktreeEntries(entry, worktreesByRepo).length > 0;
+}
+
+/**
+ * Directory for a new worktree: sibling of the repo, suffixed with the branch
+ */
+function getNewWorktreePath(repoPath, branch) {
+  return `${repoPath}-${branch.replace(/\//g, '-')}`;
+}
+
+/**
+ * Create a linked worktree for branch: checks out an existing local branch,
+ * tracks origin/<branch> if only the remote has it, else creates the branch from HEAD
+ * Resolves { success, message, worktree }
+ */
+async function createWorktree(repoPath, branch) {
+  if (repoPath === '.') {
+    return { success: false, message: 'Worktrees of the workspace root are not supported' };
+  }
+  if (!WORKTREE_BRANCH_PATTERN.test(branch) || branch.includes('..') || branch.endsWith('/') || branch.endsWith('.lock')) {
+    return { success: false, message: `Invalid branch name: ${branch}` };
+  }
+  const worktreePath = getNewWorktreePath(repoPath, branch);
+  const target = path.join(WORKSPACE_ROOT, worktreePath);
+  if (fs.existsSync(target)) {
+    return { success: false, message: `Directory already exists: ${worktreePath}` };
+  }
+
+  // Argument arrays - branch and path never pass through a shell
+  let cmd;
+  if ((await gitRun(repoPath, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`])).ok) {
+    cmd = ['worktree', 'add', '--', target, branch];
+  } else if ((await gitRun(repoPath, ['rev-parse', '--verify', '--quiet', `refs/remotes/origin/${branch}`])).ok) {
+    cmd = ['worktree', 'add', '--track', '-b', branch, '--', target, `origin/${branch}`];
+  } else {
+    cmd = ['worktree', 'add', '-b', branch, '--', target];
+  }
+
+  const result = await gitRun(repoPath, cmd, 60000);
+  if (!result.ok) {
+    const reason = result.stderr.split('\n').find(line => line.startsWith('fatal:')) || result.stderr.trim().split('\n')[0];
+    return { success: false, message: reason || 'git worktree add failed' };
+  }
+  return {
+    success: true,
+    message: `Created worktree ${worktreePath}`,
+    worktree: { path: worktreePath, worktreeOf: repoPath, branch },
+  };
+}
+
+/**
+ * Add a worktree record to repos.json (after its main repo)
+ * Returns updated repositories
+ */
+function addWorktreeRecord(worktree) {
+  const data = updateJson(getConfigPaths().repos, reposData => {
+    const repositories = (reposData.repositories || []).filter(r => r.path !== worktree.path);
+    let insertAt = repositories.findIndex(r => r.path === worktree.worktreeOf);
+    while (insertAt !== -1 && repositories[insertAt + 1]?.worktreeOf === worktree.worktreeOf) insertAt++;
+    repositories.splice(insertAt === -1 ? repositories.length : insertAt + 1, 0, worktree);
+    return { ...reposData, repositories };
+  }, { version: '1.0.0', repositories: [] });
+  return data.repositories;
+}
+
+// ============================================================================
+// Vanished Repos
+// ============================================================================
+
+/**
+ * Read a repo's remote URL from its git config without running git
+ * Prefers 'origin', else the first remote; follows .git files (worktrees, submodules)
+ */
+function readRemoteUrl(dir) {
+  let gitDir = path.join(dir, '.git');
+  try {
+    if (!fs.statSync(gitDir).isDirectory()) {
+      gitDir = readGitFile(dir);
+      if (!gitDir) return null;
+      const commonDir = path.join(gitDir, 'commondir');
+      if (fs.existsSync(commonDir)) gitDir = path.resolve(gitDir, fs.readFileSync(commonDir, 'utf8').trim());
+    }
+    const content = fs.readFileSync(path.join(gitDir, 'config'), 'utf8');
+    const remotes = {};
+    let current = null;
+    for (const line of content.split(/\r?\n/)) {
+      const section = line.match(/^\s*\[remote "(.+)"\]/);
+      if (section) {
+        current = section[1];
+      } else if (/^\s*\[/.test(line)) {
+        current = null;
+      } else if (current) {
+        const url = line.match(/^\s*url\s*=\s*(.+?)\s*$/);
+        if (url && !remotes[current]) remotes[current] = url[1];
+      }
+    }
+    return remotes.origin || Object.values(remotes)[0] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Normalize remote URL for comparison: 'git@github.com:Org/app.git',
+ * 'https://github.com/Org/app' and 'ssh://git@github.com/Org/app/' all give 'github.com/org/app'
+ */
+function normalizeRemoteUrl(url) {
+  if (!url) return null;
+  return url.trim()
+    .replace(/^[a-z+]+:\/\//i, '')    // scheme
+    .replace(/^[^@/]+@/, '')           // user
+    .replace(/^([^/:]+):(?!\d+\/)/, '$1/') // scp-like host:path
+    .replace(/^([^/:]+):\d+\//, '$1/') // port
+    .replace(/\.git\/?$/, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
+
+/**
+ * Entries and managed repos whose path no longer exists on disk (relative to workspaceRoot)
+ * Returns [{ kind: 'entry' | 'repo', path, name, remote, candidates }] where
+ * candidates are existing repos with the same remote URL that are not entries yet
+ */
+function findMissingRepos(entries, repositories, vanished, unmanagedPaths, workspaceRoot = WORKSPACE_ROOT) {
+  const exists = p => fs.existsSync(path.join(workspaceRoot, p));
+  const entryPaths = new Set(collectEntryPaths(entries));
+  const remoteOf = p => [...repositories, ...vanished].find(r => r.path === p)?.remote || null;
+  const candidatesFor = remote => {
+    const normalized = normalizeRemoteUrl(remote);
+    if (!normalized) return [];
+    return repositories
+      .filter(r => r.remote && normalizeRemoteUrl(r.remote) === normalized && !entryPaths.has(r.path) && exists(r.path))
+      .map(r => r.path);
+  };
+
+  const missing = [];
+  for (const entry of collectAllEntries(entries)) {
+    if (entry.type === 'group' || exists(entry.path)) continue;
+    const remote = remoteOf(entry.path);
+    missing.push({ kind: 'entry', path: entry.path, name: entry.name, remote, candidates: candidatesFor(remote) });
+  }
+  for (const repo of getManagedRepos(repositories, unmanagedPaths)) {
+    if (entryPaths.has(repo.path) || exists(repo.path)) continue;
+    missing.push({ kind: 'repo', path: repo.path, name: repo.path, remote: repo.remote || null, candidates: candidatesFor(repo.remote) });
+  }
+  return missing;
+}
+
+/**
+ * Drop a missing repo's record (and its vanished record) from repos.json
+ * Returns { repositories, vanished }
+ */
+function forgetRepoRecord(repoPath) {
+  const data = updateJson(getConfigPaths().repos, reposData => {
+    const result = { ...reposData, repositories: (reposData.repositories || []).filter(r => r.path !== repoPath) };
+    const vanished = (reposData.vanished || []).filter(r => r.path !== repoPath);
+    if (vanished.length > 0) {
+      result.vanished = vanished;
+    } else {
+      delete result.vanished;
+    }
+    return result;
+  }, { version: '1.0.0', repositories: [] });
+  return { repositories: data.repositories, vanished: data.vanished || [] };
+}
+
+// ============================================================================
+// Managed Repos Logic
+// ============================================================================
+
+/**
+ * Get all managed repos (all repos minus unmanaged)
+ */
+function getManagedRepos(allRepos, unmanagedPaths) {
+  return allRepos.filter(r => !unmanagedPaths.includes(r.path));
+}
+
+/**
+ * Get managed repos that are NOT in entries (shown as "Other managed")
+ */
+function getOtherManagedRepos(managedRepos, entries) {
+  const entryPaths = collectEntryPaths(entries);
+  // Worktrees of an entry are listed under it
+  return managedRepos.filter(r => !entryPaths.includes(r.path) && !entryPaths.includes(r.worktreeOf));
+}
+
+/**
+ * Create a virtual entry for "Other managed" repos submenu
+ */
+function createOtherManagedEntry(otherCount) {
+  return {
+    type: 'other-managed',
+    path: '__other_managed__',
+    name: `(Other managed - ${otherCount} repos)`,
+    ide: null,
+  };
+}
+
+// ============================================================================
+// Launch Backends
+// ============================================================================
+
+const DETACHED_SPAWN = { detached: true, stdio: 'ignore' };
+
+/**
+ * Quote a string for POSIX sh
+ */
+function shQuote(str) {
+  return `'${String(str).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quote a string for PowerShell (single-quoted literal)
+ */
+function psQuote(str) {
+  return `'${String(str).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Escape a string for use inside an AppleScript double-quoted literal
+ */
+function appleScriptString(str) {
+  return `"${String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Find an executable on PATH
+ * Returns full path or null (pure fs lookup, never spawns)
+ */
+function findOnPath(name) {
+  if (!name) return null;
+  if (path.isAbsolute(name)) return fs.existsSync(name) ? name : null;
+
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  const exts = process.platform === 'win32'
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';').concat([''])
+    : [''];
+
+  for (const dir of dirs) {
+    for (const ext of exts) {
+      const candidate = path.join(dir, name + ext);
+      try {
+        if (fs.statSync(candidate).isFile()) return candidate;
+      } catch (e) {
+        // Not here, keep looking
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Split a command template into argv and substitute {placeholders} per argument
+ * e.g. 'kitty --directory {path} sh -c {command}' - each placeholder stays one argument
+ */
+function expandCommandTemplate(template, vars) {
+  const argv = splitArgs(template).flatMap(arg => {
+    // Array value standing alone expands to several args ({claude} -> exe + flags)
+    const whole = arg.match(/^\{(\w+)\}$/);
+    if (whole && Array.isArray(vars[whole[1]])) return vars[whole[1]];
+    return [arg.replace(/\{(\w+)\}/g, (m, key) => {
+      const value = vars[key];
+      if (value === undefined) return m;
+      return Array.isArray(value) ? formatCommandLine(value[0], value.slice(1), shQuote) : value;
+    })];
+  });
+  return { command: argv[0], args: argv.slice(1) };
+}
+
+/**
+ * Split a command line on whitespace, honouring simple "..." / '...' quoting
+ */
+function splitArgs(str) {
+  const parts = String(str || '').match(/"[^"]*"|'[^']*'|\S+/g) || [];
+  return parts.map(part => (/^(["']).*\1$/.test(part) ? part.slice(1, -1) : part));
+}
+
+/**
+ * Quote a string for cmd.exe
+ */
+function cmdQuote(str) {
+  return `"${String(str).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Join executable and args into one command line, quoting only args that need it
+ */
+function formatCommandLine(exe, args, quote) {
+  return [exe, ...args.map(arg => (arg === '' || /[^\w@%+=:,./-]/.test(arg) ? quote(arg) : arg))].join(' ');
+}
+
+/**
+ * Shell snippet that runs a command and keeps the terminal open afterwards
+ */
+function keepOpenShellCommand(cmd) {
+  return `${cmd}; exec "\${SHELL:-sh}"`;
+}
+
+/**
+ * Known terminal emulators (Linux + tmux)
+ * Each builder returns { command, args } for opening dir, optionally running cmd
+ */
+const TERMINAL_PRESETS = {
+  'tmux': (dir, cmd) => ({
+    command: 'tmux',
+    args: ['new-window', '-c', dir, ...(cmd ? [keepOpenShellCommand(cmd)] : [])],
+  }),
+  'x-terminal-emulator': (dir, cmd) => ({
+    command: 'x-terminal-emulator',
+    args: cmd ? ['-e', 'sh', '-c', `cd ${shQuote(dir)} && ${keepOpenShellCommand(cmd)}`] : [],
+  }),
+  'gnome-terminal': (dir, cmd) => ({
+    command: 'gnome-terminal',
+    args: [`--working-directory=${dir}`, ...(cmd ? ['--', 'sh', '-c', keepOpenShellCommand(cmd)] : [])],
+  }),
+  'konsole': (dir, cmd) => ({
+    command: 'konsole',
+    args: ['--workdir', dir, ...(cmd ? ['-e', 'sh', '-c', keepOpenShellCommand(cmd)] : [])],
+  }),
+  'kitty': (dir, cmd) => ({
+    command: 'kitty',
+    args: ['--directory', dir, ...(cmd ? ['sh', '-c', keepOpenShellCommand(cmd)] : [])],
+  }),
+  'alacritty': (dir, cmd) => ({
+    command: 'alacritty',
+    args: ['--working-directory', dir, ...(cmd ? ['-e', 'sh', '-c', keepOpenShellCommand(cmd)] : [])],
+  }),
+  'wezterm': (dir, cmd) => ({
+    command: 'wezterm',
+    args: ['start', '--cwd', dir, ...(cmd ? ['--', 'sh', '-c', keepOpenShellCommand(cmd)] : [])],
+  }),
+  'xterm': (dir, cmd) => ({
+    command: 'xterm',
+    args: cmd ? ['-e', 'sh', '-c', `cd ${shQuote(dir)} && ${keepOpenShellCommand(cmd)}`] : [],
+  }),
+};
+
+// Auto-detection order when no terminal is configured (tmux wins when inside a tmux session)
+const LINUX_TERMINAL_ORDER = ['x-terminal-emulator', 'gnome-terminal', 'konsole', 'kitty', 'alacritty', 'wezterm', 'xterm'];
+
+/**
+ * Resolve which Linux terminal to use
+ * terminal: configured value (preset name, custom template, or null for auto-detect)
+ */
+function resolveLinuxTerminal(terminal, env = process.env, onPath = findOnPath) {
+  if (terminal) return terminal;
+  if (env.TMUX) return 'tmux';
+  return LINUX_TERMINAL_ORDER.find(name => onPath(name)) || 'x-terminal-emulator';
+}
+
+/**
+ * Build a terminal command: preset name or custom template with {path}/{command}
+ */
+function buildTerminalCommand(terminal, dir, cmd) {
+  const preset = TERMINAL_PRESETS[terminal];
+  if (preset) return preset(dir, cmd);
+  return expandCommandTemplate(terminal, {
+    path: dir,
+    command: cmd ? keepOpenShellCommand(cmd) : '${SHELL:-sh}',
+  });
+}
+
+/**
+ * Resolve how to start an IDE: explicit command, then path, then Windows shortcut
+ */
+function getIdeTarget(ide) {
+  return ide.command || ide.path || ide.shortcut || null;
+}
+
+/**
+ * Build IDE spawn spec: target may be an executable path (possibly with spaces)
+ * or a command line such as 'flatpak run com.visualstudio.code' from a .desktop file
+ */
+function buildIdeCommand(target, dir) {
+  if (!/\s/.test(target) || fs.existsSync(target)) return { command: target, args: [dir] };
+  const { command, args } = expandCommandTemplate(target, {});
+  return { command, args: [...args, dir] };
+}
+
+/**
+ * Launch backends - each method returns a spawn spec { command, args, options }
+ * without spawning anything, so command construction can be inspected/tested.
+ * terminal: value of `terminal` in runner-config.json (null = platform default)
+ */
+const LAUNCH_BACKENDS = {
+  win32: {
+    name: 'Windows',
+    ide(ide, dir) {
+      return { command: 'cmd', args: ['/c', 'start', '', getIdeTarget(ide), dir] };
+    },
+    // Custom Windows terminals get the raw command - there is no sh to keep the window open
+    shell(dir, terminal) {
+      if (terminal) return expandCommandTemplate(terminal, { path: dir, command: '' });
+      return { command: 'cmd', args: ['/c', 'start', 'powershell', '-NoExit', '-Command', `Set-Location ${psQuote(dir)}`] };
+    },
+    claude(dir, claudeCmd, terminal) {
+      if (terminal) return expandCommandTemplate(terminal, { path: dir, command: claudeCmd });
+      return {
+        command: 'cmd',
+        args: ['/c', 'start', 'powershell', '-NoExit', '-Command', `Set-Location ${psQuote(dir)}; ${claudeCmd}`],
+      };
+    },
+  },
+
+  linux: {
+    name: 'Linux',
+    ide(ide, dir) {
+      return buildIdeCommand(getIdeTarget(ide), dir);
+    },
+    shell(dir, terminal) {
+      return { ...buildTerminalCommand(resolveLinuxTerminal(terminal), dir, null), options: { cwd: dir } };
+    },
+    claude(dir, claudeCmd, terminal) {
+      return { ...buildTerminalCommand(resolveLinuxTerminal(terminal), dir, claudeCmd), options: { cwd: dir } };
+    },
+  },
+
+  darwin: {
+    name: 'macOS',
+    ide(ide, dir) {
+      if (ide.command) return buildIdeCommand(ide.command, dir);
+      return { command: 'open', args: ['-a', ide.app || ide.path || ide.name, dir] };
+    },
+    shell(dir, terminal) {
+      if (terminal && !['Terminal', 'iTerm'].includes(terminal)) return buildTerminalCommand(terminal, dir, null);
+      return { command: 'open', args: ['-a', terminal || 'Terminal', dir] };
+    },
+    claude(dir, claudeCmd, terminal) {
+      const script = `cd ${shQuote(dir)} && ${claudeCmd}`;
+      if (terminal === 'iTerm') {
+        return {
+          command: 'osascript',
+          args: [
+            '-e', 'tell application "iTerm" to create window with default profile',
+            '-e', `tell application "iTerm" to tell current session of current window to write text ${appleScriptString(script)}`,
+          ],
+        };
+      }
+      if (terminal && terminal !== 'Terminal') return buildTerminalCommand(terminal, dir, claudeCmd);
+      return {
+        command: 'osascript',
+        args: [
+          '-e', `tell application "Terminal" to do script ${appleScriptString(script)}`,
+          '-e', 'tell application "Terminal" to activate',
+        ],
+      };
+    },
+  },
+};
+
+/**
+ * Get launch backend for a platform (other Unix-likes use the Linux backend)
+ */
+function getLaunchBackend(platform = process.platform) {
+  return LAUNCH_BACKENDS[platform] || LAUNCH_BACKENDS.linux;
+}
+
+/**
+ * Get configured terminal command (null = platform default)
+ */
+function getTerminalSetting() {
+  const config = loadJson(getConfigPaths().config);
+  return config?.terminal || null;
+}
+
+/**
+ * Spawn a spec built by a launch backend, detached from the launcher
+ * Returns { success, message }
+ */
+function runSpawnSpec(spec) {
+  if (!spec.command) return { success: false, message: 'No command to run' };
+  if (!findOnPath(spec.command)) return { success: false, message: `Command not found: ${spec.command}` };
+  try {
+    const child = spawn(spec.command, spec.args, { ...DETACHED_SPAWN, ...spec.options });
+    child.on('error', () => {}); // Late spawn errors must not crash the launcher
+    child.unref();
+    return { success: true, message: null };
+  } catch (e) {
+    return { success: false, message: e.message };
+  }
+}
+
+// ============================================================================
+// Claude Launch Options
+// ============================================================================
+
+// Session flags: null = new session, otherwise passed as --continue / --resume
+const CLAUDE_SESSION_MODES = [null, 'continue', 'resume'];
+
+/**
+ * Editable per-entry Claude options (stored under entry.claude)
+ * kind: toggle | text | list (comma-separated) | cycle | args (shell-like split)
+ */
+const CLAUDE_OPTION_FIELDS = [
+  { key: 'skipPermissions', label: 'Skip permissions', kind: 'toggle' },
+  { key: 'model', label: 'Model', kind: 'text' },
+  { key: 'addDirs', label: 'Add dirs', kind: 'list' },
+  { key: 'session', label: 'Session', kind: 'cycle' },
+  { key: 'extraArgs', label: 'Extra args', kind: 'args' },
+];
+
+/**
+ * Get entry's Claude options with defaults filled in
+ */
+function getClaudeOptions(entry) {
+  const options = entry?.claude || {};
+  return {
+    skipPermissions: options.skipPermissions === true,
+    model: options.model || null,
+    addDirs: options.addDirs || [],
+    session: CLAUDE_SESSION_MODES.includes(options.session) ? options.session : null,
+    extraArgs: options.extraArgs || [],
+  };
+}
+
+/**
+ * Set one Claude option on entry, keeping only non-default values in config
+ */
+function setClaudeOption(entry, key, value) {
+  const options = { ...entry.claude, [key]: value };
+  for (const [k, v] of Object.entries(options)) {
+    if (v === null || v === false || v === '' || (Array.isArray(v) && v.length === 0)) delete options[k];
+  }
+  if (Object.keys(options).length > 0) {
+    entry.claude = options;
+  } else {
+    delete entry.claude;
+  }
+}
+
+/**
+ * Build Claude CLI args: option flags first, startup command (prompt) last
+ */
+function buildClaudeArgs(options, startupCommand) {
+  const args = [];
+  if (options.skipPermissions) args.push(SKIP_PERMISSIONS_FLAG);
+  if (options.model) args.push('--model', options.model);
+  for (const dir of options.addDirs) args.push('--add-dir', dir);
+  if (options.session) args.push(`--${options.session}`);
+  args.push(...options.extraArgs);
+  if (startupCommand) args.push(startupCommand);
+  return args;
+}
+
+/**
+ * Short labels for non-default options, e.g. ['skip-perms', 'model opus']
+ */
+function describeClaudeOptions(options) {
+  const labels = [];
+  if (options.skipPermissions) labels.push('skip-perms');
+  if (options.model) labels.push(`model ${options.model}`);
+  if (options.addDirs.length > 0) labels.push(`+${options.addDirs.length} dir${options.addDirs.length > 1 ? 's' : ''}`);
+  if (options.session) labels.push(options.session);
+  if (options.extraArgs.length > 0) labels.push(formatCommandLine('', options.extraArgs, shQuote).trim());
+  return labels;
+}
+
+/**
+ * Display value of an option field for the options editor
+ */
+function formatClaudeOptionValue(options, field) {
+  const value = options[field.key];
+  switch (field.kind) {
+    case 'toggle': return value ? 'yes' : 'no';
+    case 'cycle': return value || 'new session';
+    case 'list': return value.length > 0 ? value.join(', ') : '(none)';
+    case 'args': return value.length > 0 ? formatCommandLine('', value, shQuote).trim() : '(none)';
+    default: return value || '(default)';
+  }
+}
+
+// ============================================================================
+// Custom Modes
+// ============================================================================
+
+// Modes handled by launch() itself; custom modes may not reuse these names
+const BUILTIN_MODES = ['Claude', 'IDE', 'Claude + IDE', 'PowerShell', 'Terminal'];
+
+/**
+ * Find custom mode definition by name
  */
-function getDesktopPath() {
-  const home = process.env.USERPROFILE || process.env.HOME;
-  return path.join(home, 'Desktop');
+function findCustomMode(mode, customModes) {
+  return (customModes || []).find(m => m.name === mode) || null;
 }
 
 /**
- * Create desktop shortcut as a .cmd file
- * Returns true on success, error message on failure
+ * Tab cycle: configured modes first, then custom modes not listed there
  */
-function createDesktopShortcut(launcherScriptPath) {
-  const desktop = getDesktopPath();
-  const shortcutPath = path.join(desktop, 'Claude Launcher.cmd');
-  const workDir = path.dirname(launcherScriptPath);
-
-  // Simple batch file - font size must be configured in Windows Terminal settings
-  const cmdContent = `@echo off
-cd /d "${workDir}"
-powershell -ExecutionPolicy Bypass -File "${launcherScriptPath}"
-`;
-
-  try {
-    fs.writeFileSync(shortcutPath, cmdContent, 'utf8');
-    return true;
-  } catch (e) {
-    return `Failed to create shortcut: ${e.message}`;
+function getModeCycle(config) {
+  const modes = [...(config.modes || [])];
+  for (const custom of config.customModes || []) {
+    if (!modes.includes(custom.name)) modes.push(custom.name);
   }
+  return modes;
 }
 
 /**
- * Check if desktop shortcut exists
+ * Read custom modes from config (launch-time lookup, like getTerminalSetting)
  */
-function desktopShortcutExists() {
-  const desktop = getDesktopPath();
-  const shortcutPath = path.join(desktop, 'Claude Launcher.cmd');
-  return fs.existsSync(shortcutPath);
+function getCustomModes() {
+  const config = loadJson(getConfigPaths().config);
+  return config?.customModes || [];
+}
+
+/**
+ * Command template for custom mode, entry.modeOverrides[mode] taking precedence
+ */
+function getModeTemplate(entry, customMode) {
+  return entry?.modeOverrides?.[customMode.name] || customMode.command;
 }
 
 // ============================================================================
-// Managed Repos Logic
+// Launcher Logic
 // ============================================================================
 
+// Modes that open a plain shell in the entry directory ('Terminal' is the non-Windows name)
+const SHELL_MODES = ['PowerShell', 'Terminal'];
+
 /**
- * Get all managed repos (all repos minus unmanaged)
+ * Whether a mode runs Claude (in-terminal launches hand the terminal over to Claude)
+ * Custom modes count when their command template uses {claude} - the entry's
+ * modeOverrides template when it has one, so pass the entry being launched
  */
-function getManagedRepos(allRepos, unmanagedPaths) {
-  return allRepos.filter(r => !unmanagedPaths.includes(r.path));
+function isClaudeMode(mode, customModes = [], entry = null) {
+  const custom = findCustomMode(mode, customModes);
+  if (custom) return getModeTemplate(entry, custom).includes('{claude}');
+  return mode === 'Claude' || mode === 'Claude + IDE';
 }
 
 /**
- * Get managed repos that are NOT in entries (shown as "Other managed")
+ * Whether an in-terminal launch of mode takes over the terminal (Claude, custom 'terminal' modes)
  */
-function getOtherManagedRepos(managedRepos, entries) {
-  const entryPaths = collectEntryPaths(entries);
-  return managedRepos.filter(r => !entryPaths.includes(r.path));
+function takesOverTerminal(mode, customModes = []) {
+  const custom = findCustomMode(mode, customModes);
+  if (custom) return custom.run !== 'detached';
+  return isClaudeMode(mode);
 }
 
+const SKIP_PERMISSIONS_FLAG = '--dangerously-skip-permissions';
+
 /**
- * Create a virtual entry for "Other managed" repos submenu
+ * Whether launching entry in mode passes --dangerously-skip-permissions, judged
+ * from the final arguments: the option toggle, extra args or a custom mode template
  */
-function createOtherManagedEntry(otherCount) {
-  return {
-    type: 'other-managed',
-    path: '__other_managed__',
-    name: `(Other managed - ${otherCount} repos)`,
-    ide: null,
-  };
+function skipsPermissions(entry, mode, customModes = []) {
+  const custom = findCustomMode(mode, customModes);
+  let argv;
+  if (custom) {
+    // The Claude executable does not matter here - avoid detecting it
+    const spec = expandCommandTemplate(getModeTemplate(entry, custom), {
+      path: entry.path || '',
+      name: entry.name,
+      claude: ['claude', ...buildClaudeArgs(getClaudeOptions(entry), null)],
+    });
+    argv = [spec.command, ...spec.args];
+  } else {
+    argv = isClaudeMode(mode) ? buildClaudeArgs(getClaudeOptions(entry), null) : [];
+  }
+  return argv.some(arg => typeof arg === 'string' && arg.includes(SKIP_PERMISSIONS_FLAG));
 }
 
-// ============================================================================
-// Launcher Logic
-// ============================================================================
+/**
+ * Launch entry with a custom mode's command template
+ * run 'terminal' (default): in-terminal takes over, detached opens a new terminal window
+ * run 'detached': spawned in the background either way (GUI apps)
+ */
+function launchCustomMode(entry, customMode, fullPath, claudeStartupMode, detached, fail) {
+  const backend = getLaunchBackend();
+  const vars = { path: fullPath, name: entry.name };
+  const template = getModeTemplate(entry, customMode);
+  if (template.includes('{claude}')) {
+    const claudeArgs = buildClaudeArgs(getClaudeOptions(entry), parseStartupMode(claudeStartupMode));
+    vars.claude = [getClaudeCommand(), ...claudeArgs];
+  }
+  const spec = expandCommandTemplate(template, vars);
+  if (!spec.command) return fail(`Mode "${customMode.name}" has an empty command`);
+
+  if (customMode.run === 'detached') {
+    if (!detached) console.log(`\n${ANSI.blue}Running ${customMode.name} for ${entry.name}...${ANSI.reset}`);
+    const result = runSpawnSpec({ ...spec, options: { cwd: fullPath } });
+    if (!result.success) return fail(result.message);
+    return detached ? { success: true, message: `Started ${customMode.name}` } : true;
+  }
 
-const DETACHED_SPAWN = { detached: true, stdio: 'ignore' };
+  if (detached) {
+    const commandLine = formatCommandLine(spec.command, spec.args, backend === LAUNCH_BACKENDS.win32 ? psQuote : shQuote);
+    const result = runSpawnSpec(backend.claude(fullPath, commandLine, getTerminalSetting()));
+    if (!result.success) return fail(result.message);
+    return { success: true, message: `Opened ${customMode.name}` };
+  }
+
+  // Run in current terminal (takes over)
+  console.log(`\n${ANSI.blue}Running ${customMode.name} in ${entry.name}...${ANSI.reset}`);
+  process.chdir(fullPath);
+  process.stdin.removeAllListeners('keypress');
+  process.stdin.pause();
+  const commandLine = formatCommandLine(spec.command, spec.args, process.platform === 'win32' ? cmdQuote : shQuote);
+  const child = spawn(commandLine, [], { stdio: 'inherit', shell: true });
+  child.on('exit', code => process.exit(code));
+  return true;
+}
 
 /**
  * Launch entry
@@ -982,70 +3374,349 @@ function launch(entry, mode, claudeStartupMode, ides, detached = false) {
     return false;
   }
 
+  const backend = getLaunchBackend();
+  const terminal = getTerminalSetting();
   const ide = ides.find(i => i.name === entry.ide) || ides[0];
 
+  const fail = message => {
+    if (detached) return { success: false, message };
+    console.log(`\n${ANSI.red}Error: ${message}${ANSI.reset}`);
+    return false;
+  };
+
+  // Custom modes (config.customModes)
+  const customMode = findCustomMode(mode, getCustomModes());
+  if (customMode) {
+    return launchCustomMode(entry, customMode, fullPath, claudeStartupMode, detached, fail);
+  }
+
   // IDE modes
   if (mode === 'IDE' || mode === 'Claude + IDE') {
-    if (!ide) {
-      if (detached) return { success: false, message: 'No IDE configured' };
-      console.log(`\n${ANSI.red}Error: No IDE configured${ANSI.reset}`);
-      return false;
+    if (!ide || (!getIdeTarget(ide) && backend !== LAUNCH_BACKENDS.darwin)) {
+      return fail('No IDE configured');
     }
 
     if (!detached) console.log(`\n${ANSI.magenta}Opening ${entry.name} in ${ide.name}...${ANSI.reset}`);
-    spawn('cmd', ['/c', 'start', '', ide.shortcut, fullPath], DETACHED_SPAWN);
+    const result = runSpawnSpec(backend.ide(ide, fullPath));
+    if (!result.success) return fail(result.message);
 
     if (mode === 'IDE') {
       return detached ? { success: true, message: `Opened in ${ide.name}` } : true;
     }
   }
 
-  // PowerShell mode
-  if (mode === 'PowerShell') {
-    if (!detached) console.log(`\n${ANSI.blue}Opening PowerShell in ${entry.name}...${ANSI.reset}`);
-    spawn('cmd', ['/c', 'start', 'powershell', '-NoExit', '-Command', `Set-Location '${fullPath}'`], DETACHED_SPAWN);
-    return detached ? { success: true, message: 'Opened PowerShell' } : true;
+  // Shell mode
+  if (SHELL_MODES.includes(mode)) {
+    if (!detached) console.log(`\n${ANSI.blue}Opening ${mode} in ${entry.name}...${ANSI.reset}`);
+    const result = runSpawnSpec(backend.shell(fullPath, terminal));
+    if (!result.success) return fail(result.message);
+    return detached ? { success: true, message: `Opened ${mode}` } : true;
   }
 
   // Claude modes
   const command = parseStartupMode(claudeStartupMode);
+  const claudeArgs = buildClaudeArgs(getClaudeOptions(entry), command);
 
   // Get the Claude command (cached or auto-detected)
   const claudeExe = getClaudeCommand();
 
   if (detached) {
-    // Spawn Claude in new PowerShell window
-    const claudeCmd = command ? `${claudeExe} ${command}` : claudeExe;
-    spawn('cmd', ['/c', 'start', 'powershell', '-NoExit', '-Command',
-      `Set-Location '${fullPath}'; ${claudeCmd}`], DETACHED_SPAWN);
+    // Spawn Claude in a new terminal window (PowerShell on Windows, sh elsewhere)
+    const claudeCmd = formatCommandLine(claudeExe, claudeArgs, backend === LAUNCH_BACKENDS.win32 ? psQuote : shQuote);
+    const result = runSpawnSpec(backend.claude(fullPath, claudeCmd, terminal));
+    if (!result.success) return fail(result.message);
     const modeDesc = mode === 'Claude + IDE' ? `${ide?.name || 'IDE'} + Claude` : 'Claude';
     return { success: true, message: `Opened ${modeDesc}` };
   }
 
   // Run Claude in current terminal (takes over)
-  const claudeArgs = command ? [command] : [];
   console.log(`\n${ANSI.green}Running Claude${command ? ` with ${command}` : ''}...${ANSI.reset}`);
   process.chdir(fullPath);
   process.stdin.removeAllListeners('keypress');
   process.stdin.pause();
-  const claude = spawn(claudeExe, claudeArgs, { stdio: 'inherit', shell: true });
+  const claudeLine = formatCommandLine(claudeExe, claudeArgs, process.platform === 'win32' ? cmdQuote : shQuote);
+  const claude = spawn(claudeLine, [], { stdio: 'inherit', shell: true });
   claude.on('exit', code => process.exit(code));
   return true;
 }
 
+/**
+ * Open a file of an entry in the entry's IDE (first configured IDE as fallback)
+ * Returns { success, message }
+ */
+function openFileInIde(entry, { file }, ides) {
+  const ide = ides.find(i => i.name === entry.ide) || ides[0];
+  const backend = getLaunchBackend();
+  if (!ide || (!getIdeTarget(ide) && backend !== LAUNCH_BACKENDS.darwin)) {
+    return { success: false, message: 'No IDE configured' };
+  }
+  const filePath = path.join(WORKSPACE_ROOT, entry.path, file);
+  const result = runSpawnSpec(backend.ide(ide, filePath));
+  return result.success ? { success: true, message: `Opened in ${ide.name}` } : result;
+}
+
+// ============================================================================
+// Fuzzy Search
+// ============================================================================
+
+// Results shown on the search screen
+const SEARCH_MAX_RESULTS = 15;
+
+/**
+ * Fuzzy-match query against text (case-insensitive subsequence)
+ * Returns { score, positions } or null; substrings and word starts score higher
+ */
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase();
+  const t = (text || '').toLowerCase();
+  if (!q) return { score: 0, positions: [] };
+
+  const isWordStart = i => i === 0 || /[\s/\\\-_.]/.test(t[i - 1]);
+
+  // Contiguous substring - prefer one at a word start
+  let substringAt = -1;
+  for (let i = t.indexOf(q); i !== -1; i = t.indexOf(q, i + 1)) {
+    if (substringAt === -1 || (isWordStart(i) && !isWordStart(substringAt))) substringAt = i;
+  }
+  if (substringAt !== -1) {
+    const positions = Array.from(q, (_, k) => substringAt + k);
+    const score = 100 + (isWordStart(substringAt) ? 20 : 0) - substringAt - (t.length - q.length) * 0.1;
+    return { score, positions };
+  }
+
+  // Subsequence: greedy left to right, rewarding consecutive chars and word starts
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    const found = t.indexOf(ch, from);
+    if (found === -1) return null;
+    if (positions.length > 0 && found === positions[positions.length - 1] + 1) score += 5;
+    if (isWordStart(found)) score += 3;
+    score -= Math.min(found - from, 5);
+    positions.push(found);
+    from = found + 1;
+  }
+  return { score: score - (t.length - q.length) * 0.1, positions };
+}
+
+/**
+ * Everything the search can launch: launchable entries and their worktrees across
+ * collapsed groups (hidden entries skipped, hoisted children included) plus other managed repos
+ */
+function collectSearchCandidates(entries, otherManagedRepos, defaultIde, worktreesByRepo = null) {
+  const candidates = [];
+  const visit = (list, trail) => {
+    for (const entry of list) {
+      const behaviour = getEntryBehaviour(entry);
+      if (behaviour === 'hidden') continue;
+      if (behaviour !== 'hoist' && isLaunchable(entry)) {
+        candidates.push({ entry, trail, otherManaged: false });
+      }
+      if (behaviour !== 'hoist') {
+        for (const worktree of getWorktreeEntries(entry, worktreesByRepo)) {
+          candidates.push({ entry: worktree, trail: [...trail, entry.name], otherManaged: false });
+        }
+      }
+      const childTrail = behaviour === 'hoist' ? trail : [...trail, entry.name];
+      if (entry.children) visit(entry.children, childTrail);
+    }
+  };
+  visit(entries, []);
+
+  for (const repo of otherManagedRepos) {
+    const entry = { type: 'repo', path: repo.path, name: repo.path, ide: defaultIde };
+    candidates.push({ entry, trail: [], otherManaged: true });
+  }
+  return candidates;
+}
+
+/**
+ * Filter and rank candidates by query, matching entry name (preferred) or path
+ * Returns [{ ...candidate, field: 'name' | 'path', positions }]
+ */
+function searchCandidates(query, candidates) {
+  const results = [];
+  candidates.forEach((candidate, order) => {
+    const nameMatch = fuzzyMatch(query, candidate.entry.name);
+    const pathMatch = fuzzyMatch(query, candidate.entry.path);
+    const best = nameMatch && (!pathMatch || nameMatch.score + 1 >= pathMatch.score)
+      ? { field: 'name', ...nameMatch, score: nameMatch.score + 1 }
+      : pathMatch && { field: 'path', ...pathMatch };
+    if (best) results.push({ ...candidate, field: best.field, positions: best.positions, score: best.score, order });
+  });
+  // Stable: equal scores keep menu order
+  return results.sort((a, b) => b.score - a.score || a.order - b.order);
+}
+
+/**
+ * Color matched character positions in text
+ */
+function highlightMatches(text, positions, baseColor) {
+  const matched = new Set(positions);
+  return Array.from(text, (ch, i) => (matched.has(i)
+    ? `${ANSI.bold}${ANSI.cyan}${ch}${ANSI.reset}${baseColor}`
+    : ch)).join('');
+}
+
+// ============================================================================
+// Auto Refresh
+// ============================================================================
+
+// Quiet time after the last file event before a watched repo is rescanned
+const WATCH_DEBOUNCE_MS = 1500;
+
+// Directories watched one by one per repo where fs.watch cannot recurse (Linux)
+const WATCH_MAX_DIRS = 500;
+
+/**
+ * Auto-refresh settings from config.autoRefresh with defaults filled in
+ * All times are minutes; 0 turns the rule off
+ */
+function getAutoRefreshSettings(config) {
+  const auto = config?.autoRefresh || {};
+  const minutes = (value, fallback) => (typeof value === 'number' && value >= 0 ? value : fallback);
+  return {
+    scanOnStartAfter: minutes(auto.scanOnStartAfter, 10), // rescan diffs on start when the last scan is older
+    fetchEvery: minutes(auto.fetchEvery, 0),              // background fetch interval while open
+    watch: auto.watch !== false,                          // rescan repos whose files change
+    staleAfter: minutes(auto.staleAfter, 30),             // dim cached values older than this
+  };
+}
+
+/**
+ * Whether a value refreshed at `timestamp` is older than `minutes`
+ * (never with 0 minutes; an unknown time is stale)
+ */
+function isStale(timestamp, minutes, now = Date.now()) {
+  if (!minutes) return false;
+  return !timestamp || now - timestamp > minutes * 60000;
+}
+
+/**
+ * Render already colored text dimmed
+ */
+function dimText(text) {
+  return `${ANSI.dim}${text.replace(/\x1b\[[0-9;]*m/g, '')}${ANSI.reset}`;
+}
+
+/**
+ * Whether a file event (path relative to the repo) is repo activity: working tree files,
+ * .git/index, .git/HEAD and local branches (.git/refs/heads), not other git internals or node_modules
+ */
+function isWatchedChange(filename) {
+  if (!filename) return true;
+  const name = filename.replace(/\\/g, '/');
+  if (name.split('/').includes('node_modules')) return false;
+  if (name === '.git' || name.startsWith('.git/')) {
+    return name === '.git/index' || name === '.git/HEAD' || (name.startsWith('.git/refs/heads/') && !name.endsWith('.lock'));
+  }
+  return true;
+}
+
+/**
+ * Watch a repo for activity; onChange(repoPath) fires for every relevant event
+ * The working tree is watched recursively where fs.watch does it natively (Windows, macOS),
+ * elsewhere directory by directory (up to WATCH_MAX_DIRS, new directories are added as they appear).
+ * .git/index and .git/HEAD are seen through a watch on .git (git replaces them by rename,
+ * which a watch on the file itself would lose), branches through .git/refs/heads
+ * Returns a close function, or null when nothing could be watched
+ */
+function watchRepo(repoPath, onChange) {
+  const fullPath = path.join(WORKSPACE_ROOT, repoPath);
+  const nativeRecursive = process.platform === 'win32' || process.platform === 'darwin';
+  const watchers = new Map(); // directory -> FSWatcher
+  const watchDir = (dir, recursive) => {
+    if (watchers.has(dir)) return true;
+    const prefix = path.relative(fullPath, dir).replace(/\\/g, '/');
+    try {
+      const watcher = fs.watch(dir, { recursive, persistent: false }, (event, filename) => {
+        const name = filename ? (prefix ? `${prefix}/${filename}` : filename) : null;
+        if (!isWatchedChange(name)) return;
+        // A directory created in a tree watched one level at a time needs its own watch
+        if (!recursive && event === 'rename' && name) {
+          const created = path.join(fullPath, name);
+          if (fs.statSync(created, { throwIfNoEntry: false })?.isDirectory()) watchTree(created);
+        }
+        onChange(repoPath);
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+      return true;
+    } catch (e) {
+      return false; // Missing, a .git file (worktrees, submodules) or out of watch handles
+    }
+  };
+  // Directory by directory, skipping .git and node_modules
+  const watchTree = root => {
+    const queue = [root];
+    while (queue.length > 0 && watchers.size < WATCH_MAX_DIRS) {
+      const dir = queue.shift();
+      if (!watchDir(dir, false)) continue;
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (e) {
+        continue;
+      }
+      for (const entry of entries) {
+        if (entry.isDirectory() && entry.name !== '.git' && entry.name !== 'node_modules') {
+          queue.push(path.join(dir, entry.name));
+        }
+      }
+    }
+  };
+
+  if (nativeRecursive) {
+    watchDir(fullPath, true);
+  } else {
+    // Git activity first, so a large working tree cannot use up the directory budget
+    watchDir(path.join(fullPath, '.git'), false);
+    watchTree(path.join(fullPath, '.git', 'refs', 'heads'));
+    watchTree(fullPath);
+  }
+  if (watchers.size === 0) return null;
+  return () => watchers.forEach(watcher => watcher.close());
+}
+
 // ============================================================================
 // UI Rendering
 // ============================================================================
 
+/**
+ * Change stats as "+added/-removed" with staged, unstaged and untracked file counts
+ * (stats cached before the split show the total file count)
+ */
 function formatStats(stats) {
   if (!stats) return '';
-  return `${ANSI.green}+${stats.added}${ANSI.reset}/${ANSI.yellow}-${stats.removed}${ANSI.reset} (${stats.files})`;
+  const lineStats = stats.added > 0 || stats.removed > 0
+    ? `${ANSI.green}+${stats.added}${ANSI.reset}/${ANSI.yellow}-${stats.removed}${ANSI.reset} `
+    : '';
+  if (!stats.staged) return `${lineStats}(${stats.files})`;
+  const counts = [
+    stats.staged.files > 0 && `${ANSI.green}${stats.staged.files} staged${ANSI.reset}`,
+    stats.unstaged.files > 0 && `${ANSI.yellow}${stats.unstaged.files} unstaged${ANSI.reset}`,
+    stats.untracked > 0 && `${ANSI.cyan}${stats.untracked} untracked${ANSI.reset}`,
+  ].filter(Boolean);
+  return `${lineStats}(${counts.length > 0 ? counts.join(', ') : stats.files})`;
 }
 
 function render(state) {
+  // Claude took over the terminal - background updates must not draw over it
+  if (state.launched) return;
+
   // Dispatch to appropriate render based on mode
   if (state.firstRunPrompt) {
     renderFirstRunPrompt(state);
+  } else if (state.skipPermissionsConfirm) {
+    renderSkipPermissionsConfirm(state);
+  } else if (state.claudeOptionsMode) {
+    renderClaudeOptions(state);
+  } else if (state.worktreeCreate) {
+    renderWorktreeCreate(state);
   } else if (state.configMode) {
     renderConfigMenu(state);
   } else if (state.groupConfirmMode) {
@@ -1060,17 +3731,58 @@ function render(state) {
     renderEntriesEditMode(state);
   } else if (state.startupModesEditMode) {
     renderStartupModesEdit(state);
+  } else if (state.diffView) {
+    renderDiffView(state);
+  } else if (state.repoDetail) {
+    renderRepoDetail(state);
+  } else if (state.remotePushConfirm) {
+    renderRemotePushConfirm(state);
+  } else if (state.remoteSyncReport) {
+    renderRemoteSyncReport(state);
+  } else if (state.operationLogView) {
+    renderOperationLog(state);
   } else if (state.remoteStatusMode) {
     renderRemoteStatus(state);
+  } else if (state.reconcileMode) {
+    renderReconcile(state);
   } else if (state.managementMode) {
     renderManagementMode(state);
   } else if (state.otherManagedMode) {
     renderOtherManagedMode(state);
+  } else if (state.searchMode) {
+    renderSearch(state);
   } else {
     renderMainMenu(state);
   }
 }
 
+/**
+ * Error screen for a corrupt or invalid runner-config.json
+ */
+function printConfigError(err) {
+  const lines = [];
+  lines.push(`${ANSI.bold}${ANSI.red}Configuration error${ANSI.reset}`);
+  lines.push(SEP60);
+  lines.push('');
+  lines.push(err.message);
+  lines.push('');
+  err.configErrors.slice(0, 20).forEach(detail => lines.push(`  ${ANSI.red}-${ANSI.reset} ${detail}`));
+  if (err.configErrors.length > 20) {
+    lines.push(`  ${ANSI.dim}... and ${err.configErrors.length - 20} more${ANSI.reset}`);
+  }
+  lines.push('');
+  lines.push(SEP60);
+  lines.push('');
+  lines.push('To recover, either:');
+  lines.push(`  - fix the file by hand: ${ANSI.cyan}${err.configFile}${ANSI.reset}`);
+  const backups = listConfigBackups(err.configFile);
+  if (backups.length > 0) {
+    lines.push(`  - restore a backup, newest: ${ANSI.cyan}${backups[0]}${ANSI.reset}`);
+  }
+  lines.push(`  - delete it to start over with a default config (or run with --setup)`);
+  console.error(lines.join('\n'));
+}
+
 function renderFirstRunPrompt(state) {
   const lines = [];
 
@@ -1098,8 +3810,79 @@ function formatTimeAgo(timestamp) {
   return `${Math.floor(ago / 86400)}d ago`;
 }
 
+/**
+ * Compact mode display: [Claude][none][entry options]
+ */
+function formatModeLine(state, selectedEntry) {
+  const { mode, claudeStartupMode, customModes } = state;
+  const customMode = findCustomMode(mode, customModes);
+  const modeColors = {
+    'Claude': ANSI.green,
+    'IDE': ANSI.magenta,
+    'Claude + IDE': ANSI.cyan,
+    'PowerShell': ANSI.blue,
+    'Terminal': ANSI.blue,
+  };
+  const modeColor = modeColors[mode] || ANSI[customMode?.color] || ANSI.white;
+  let modeDisplay = `${modeColor}[${mode}]${ANSI.reset}`;
+  if (isClaudeMode(mode, customModes, selectedEntry)) {
+    modeDisplay += `${ANSI.yellow}[${claudeStartupMode}]${ANSI.reset}`;
+    // Per-entry Claude options of the selected entry
+    const claudeOptions = getClaudeOptions(selectedEntry);
+    const optionLabels = describeClaudeOptions(claudeOptions);
+    if (optionLabels.length > 0) {
+      const optionsColor = skipsPermissions(selectedEntry, mode, customModes) ? ANSI.red : ANSI.gray;
+      modeDisplay += `${optionsColor}[${optionLabels.join(', ')}]${ANSI.reset}`;
+    }
+  }
+  return `\n${modeColor}Current Mode: ${modeDisplay}${ANSI.reset}`;
+}
+
+function renderSearch(state) {
+  const { searchQuery, searchResults, searchSelectedIndex } = state;
+  const lines = [];
+
+  lines.push(`\n${ANSI.cyan}Search:${ANSI.reset} ${ANSI.bold}${searchQuery}${ANSI.reset}${ANSI.bold}_${ANSI.reset}`);
+  lines.push(SEP40);
+
+  if (searchResults.length === 0) {
+    lines.push(`  ${ANSI.dim}No matches${ANSI.reset}`);
+  }
+
+  searchResults.slice(0, SEARCH_MAX_RESULTS).forEach((result, i) => {
+    const { entry, trail, otherManaged, field, positions } = result;
+    const isSelected = i === searchSelectedIndex;
+    const prefix = isSelected ? '> ' : '  ';
+    const nameColor = isSelected ? ANSI.white : otherManaged ? ANSI.dim + ANSI.yellow : ANSI.yellow;
+    const name = field === 'name' ? highlightMatches(entry.name, positions, nameColor) : entry.name;
+
+    // Context: path when it matched (or differs from the name), parent trail, other managed
+    const details = [];
+    if (field === 'path') {
+      details.push(highlightMatches(entry.path, positions, ANSI.gray));
+    } else if (entry.path !== entry.name) {
+      details.push(entry.path);
+    }
+    if (trail.length > 0) details.push(`in ${trail.join(' > ')}`);
+    if (otherManaged) details.push('other managed');
+    const suffix = details.length > 0 ? ` ${ANSI.gray}(${details.join(', ')}${ANSI.gray})${ANSI.reset}` : '';
+
+    lines.push(`${prefix}${nameColor}${name}${ANSI.reset}${suffix}`);
+  });
+  if (searchResults.length > SEARCH_MAX_RESULTS) {
+    lines.push(`  ${ANSI.dim}... ${searchResults.length - SEARCH_MAX_RESULTS} more${ANSI.reset}`);
+  }
+
+  lines.push(SEP40);
+  lines.push(formatModeLine(state, searchResults[searchSelectedIndex]?.entry));
+  lines.push(`${ANSI.gray}Type to filter | Up/Down: nav | Enter: launch | Tab: mode | Esc: back${ANSI.reset}`);
+
+  printScreen(lines);
+}
+
 function renderMainMenu(state) {
-  const { flattenedEntries, selectedIndex, mode, claudeStartupMode, diffs, diffsLastScan, scanning } = state;
+  const { flattenedEntries, selectedIndex, mode, diffs, diffsLastScan, scanning, customModes } = state;
+  const customMode = findCustomMode(mode, customModes);
 
   const lines = [];
 
@@ -1111,13 +3894,14 @@ function renderMainMenu(state) {
   flattenedEntries.forEach((item, i) => {
     const { entry, depth, parent } = item;
     const isSelected = i === selectedIndex;
-    const prefix = isSelected ? '> ' : '  ';
+    const mark = entry.path && state.markedPaths.has(entry.path) ? `${ANSI.green}*${ANSI.reset}` : ' ';
+    const prefix = `${isSelected ? '>' : ' '}${mark}`;
     const indent = '  '.repeat(depth);
     const num = `${i + 1}.`;
 
-    // Expand/collapse indicator for entries with children
+    // Expand/collapse indicator for entries with children (or worktrees)
     let expandIndicator = '';
-    if (entry.children && entry.children.length > 0) {
+    if (hasMenuChildren(entry, state.worktreesByRepo)) {
       expandIndicator = entry.expanded ? '- ' : '+ ';
     }
 
@@ -1130,11 +3914,14 @@ function renderMainMenu(state) {
       }
     }
 
-    // Color: selected = white, unselected = yellow, other-managed = dim yellow
+    // Color: selected = white, unselected = yellow, other-managed/missing = dim
     const isOtherManaged = entry.type === 'other-managed';
+    const isMissing = entry.type !== 'group' && state.missingItems.some(m => m.kind === 'entry' && m.path === entry.path);
     let nameColor;
     if (isSelected) {
       nameColor = ANSI.white;
+    } else if (isMissing) {
+      nameColor = ANSI.dim;
     } else if (isOtherManaged) {
       nameColor = ANSI.dim + ANSI.yellow;
     } else {
@@ -1146,14 +3933,25 @@ function renderMainMenu(state) {
     if (!isOtherManaged) {
       const diffKey = entry.path || `__group_${entry.name}`;
       if (diffs[diffKey]) {
+        // Repos rescanned by the file watcher are fresher than the last full scan
+        const refreshedAt = Math.max(state.diffsLastScan || 0, state.diffsRefreshedAt[diffKey] || 0);
         stats = ' ' + formatStats(diffs[diffKey]);
+        if (isStale(refreshedAt, state.autoRefresh.staleAfter)) stats = dimText(stats);
       }
     }
 
     // IDE suffix - show on selected item when in IDE modes
     let ideSuffix = '';
-    if (isSelected && !isOtherManaged && (mode === 'IDE' || mode === 'Claude + IDE')) {
+    if (isMissing) {
+      ideSuffix = ` ${ANSI.red}! missing${ANSI.reset}`;
+    } else if (!isOtherManaged && entry.path && !isLaunchable(entry)) {
+      ideSuffix = ` ${ANSI.gray}(not openable)${ANSI.reset}`;
+    } else if (isSelected && !isOtherManaged && (mode === 'IDE' || mode === 'Claude + IDE')) {
       ideSuffix = ` ${ANSI.gray}(${entry.ide || 'WebStorm'})${ANSI.reset}`;
+    } else if (isSelected && customMode && entry.modeOverrides?.[mode]) {
+      ideSuffix = ` ${ANSI.gray}(${getModeTemplate(entry, customMode)})${ANSI.reset}`;
+    } else if (entry.type === 'worktree') {
+      ideSuffix = ` ${ANSI.gray}(worktree${isSelected ? ` ${entry.path}` : ''})${ANSI.reset}`;
     }
 
     lines.push(`${prefix}${num} ${expandIndicator}${indent}${nameColor}${displayName}${ANSI.reset}${ideSuffix}${stats}`);
@@ -1161,32 +3959,20 @@ function renderMainMenu(state) {
 
   lines.push(SEP40);
 
-  // Compact mode display: [Claude][none]
-  const modeColors = {
-    'Claude': ANSI.green,
-    'IDE': ANSI.magenta,
-    'Claude + IDE': ANSI.cyan,
-    'PowerShell': ANSI.blue,
-  };
-  const modeColor = modeColors[mode] || ANSI.white;
-  let modeDisplay = `${modeColor}[${mode}]${ANSI.reset}`;
-  if (mode === 'Claude' || mode === 'Claude + IDE') {
-    modeDisplay += `${ANSI.yellow}[${claudeStartupMode}]${ANSI.reset}`;
-  }
-
-  lines.push(`\n${modeColor}Current Mode: ${modeDisplay}${ANSI.reset}`);
+  lines.push(formatModeLine(state, flattenedEntries[selectedIndex]?.entry));
 
   // Help line (Gray like original)
-  lines.push(`${ANSI.gray}Tab/w: mode | c: startup | Up/Down: nav | Enter: select | n: new window | q: quit${ANSI.reset}`);
-  lines.push(`${ANSI.gray}Left/Right: expand/collapse | d: git diff | Space: files | r: remote | f: config${ANSI.reset}`);
+  lines.push(`${ANSI.gray}Tab/w: mode | c: startup | Up/Down: nav | Enter: select | n: new window | m: mark | q: quit${ANSI.reset}`);
+  lines.push(`${ANSI.gray}Left/Right: expand/collapse | /: search | t: new worktree | d: git diff | Space: files | g: history | r: remote | f: config | x: missing${ANSI.reset}`);
 
   // Git diffs timestamp
   const hasDiffs = diffs && Object.keys(diffs).length > 0;
   if (scanning) {
-    lines.push(`\n${ANSI.yellow}Scanning for changes...${ANSI.reset}`);
+    lines.push(`\n${ANSI.yellow}Scanning for changes...${formatProgress(state.scanProgress)}${ANSI.reset}`);
   } else if (diffsLastScan) {
     lines.push('');
-    lines.push(`${ANSI.dim}Git diffs scanned ${formatTimeAgo(diffsLastScan)}${ANSI.reset}`);
+    const staleNote = isStale(diffsLastScan, state.autoRefresh.staleAfter) ? ` ${ANSI.yellow}(stale - d: rescan)${ANSI.reset}` : '';
+    lines.push(`${ANSI.dim}Git diffs scanned ${formatTimeAgo(diffsLastScan)}${ANSI.reset}${staleNote}`);
   } else if (hasDiffs) {
     lines.push('');
     lines.push(`${ANSI.dim}Git diffs: scan time unknown${ANSI.reset}`);
@@ -1195,24 +3981,67 @@ function renderMainMenu(state) {
   // Changed files display
   if (state.showChangedFiles && state.changedFiles && state.changedFiles.length > 0) {
     lines.push('');
-    lines.push(`${ANSI.cyan}Changed files in ${state.changedFilesPath}:${ANSI.reset}`);
-    state.changedFiles.forEach(({ status, file }) => {
+    const filesHint = state.changedFilesFocus
+      ? 'Up/Down: file | Enter: diff | o: open in IDE | Left/Esc: back'
+      : 'Right: browse files, stage, commit';
+    lines.push(`${ANSI.cyan}Changed files in ${state.changedFilesPath}:${ANSI.reset} ${ANSI.gray}(${filesHint})${ANSI.reset}`);
+    state.changedFiles.forEach((changed, i) => {
+      const { status } = changed;
+      const file = formatChangedFile(changed);
       const statusColor = status.includes('?') ? ANSI.green :
                           status.includes('D') ? ANSI.red :
                           status.includes('A') ? ANSI.green :
                           ANSI.yellow;
       // Status is 2 chars from git, pad to ensure alignment
       const paddedStatus = status.padEnd(2);
-      lines.push(`  ${statusColor}${paddedStatus}${ANSI.reset} ${file}`);
+      const isSelected = state.changedFilesFocus && i === state.changedFilesSelectedIndex;
+      const fileText = isSelected ? `${ANSI.bold}${ANSI.white}${file}${ANSI.reset}` : file;
+      lines.push(`${isSelected ? `${ANSI.cyan}>${ANSI.reset}` : ' '} ${statusColor}${paddedStatus}${ANSI.reset} ${fileText}`);
     });
+    if (state.discardConfirm) {
+      lines.push('');
+      lines.push(`${ANSI.red}Discard all changes to ${formatChangedFile(state.discardConfirm)}? This cannot be undone.${ANSI.reset} ${ANSI.green}y${ANSI.reset}: discard | ${ANSI.red}n${ANSI.reset}/Esc: cancel`);
+    } else if (state.commitPrompt !== null) {
+      const stagedCount = state.changedFiles.filter(f => isStagedStatus(f.status)).length;
+      lines.push('');
+      lines.push(`${ANSI.bold}Commit message${ANSI.reset} ${ANSI.dim}(${stagedCount} staged)${ANSI.reset}: ${state.commitPrompt}${ANSI.cyan}_${ANSI.reset}`);
+      lines.push(`${ANSI.dim}Enter: commit | Esc: cancel${ANSI.reset}`);
+    } else if (state.changedFilesFocus) {
+      lines.push(`${ANSI.dim}s: stage | u: unstage | x: discard | c: commit staged | C: Claude with /git:commit${ANSI.reset}`);
+    }
+    if (state.changedFilesStatus) {
+      lines.push(`${state.changedFilesStatus.startsWith('Error') ? ANSI.red : ANSI.green}${state.changedFilesStatus}${ANSI.reset}`);
+    }
   }
 
-  // Launch message (from Shift+Enter multi-select)
+  // Launch message (from 'n' new window launch)
   if (state.lastLaunchMessage) {
     lines.push('');
     lines.push(`${ANSI.green}${state.lastLaunchMessage}${ANSI.reset}`);
   }
 
+  // Entries/repos whose path vanished
+  if (state.missingItems.length > 0) {
+    lines.push('');
+    lines.push(`${ANSI.red}! ${state.missingItems.length} missing on disk${ANSI.reset} ${ANSI.gray}- x: reconcile${ANSI.reset}`);
+  }
+
+  // Marked entries and batch launch results
+  if (state.markedPaths.size > 0) {
+    lines.push('');
+    lines.push(`${ANSI.green}${state.markedPaths.size} marked${ANSI.reset} ${ANSI.gray}- n: launch marked in new windows | Esc: clear marks${ANSI.reset}`);
+  }
+  if (state.batchLaunchResults) {
+    const failed = state.batchLaunchResults.filter(r => !r.success).length;
+    lines.push('');
+    lines.push(`${failed > 0 ? ANSI.yellow : ANSI.green}Launched ${state.batchLaunchResults.length - failed}/${state.batchLaunchResults.length}${ANSI.reset}`);
+    state.batchLaunchResults.forEach(({ entry, success, message }) => {
+      lines.push(success
+        ? `  ${ANSI.green}ok${ANSI.reset}   ${entry.name}: ${message}`
+        : `  ${ANSI.red}fail${ANSI.reset} ${entry.name}: ${message}`);
+    });
+  }
+
   // Clear and print
   printScreen(lines);
 }
@@ -1276,7 +4105,52 @@ function renderManagementMode(state) {
 
   lines.push(SEP60);
   lines.push('');
-  lines.push(`${ANSI.dim}Space: toggle | Enter: save & exit | Esc/q: cancel${ANSI.reset}`);
+  lines.push(`${ANSI.dim}Space: toggle | Enter: save & exit | Esc/q: cancel${ANSI.reset}`);
+
+  printScreen(lines);
+}
+
+function renderReconcile(state) {
+  const { missingItems, reconcileSelectedIndex, reconcileCandidateIndex, reconcileStatus } = state;
+
+  const lines = [];
+
+  lines.push(`${ANSI.bold}${ANSI.red}Missing Repositories:${ANSI.reset}`);
+  lines.push(SEP60);
+
+  if (missingItems.length === 0) {
+    lines.push(`${ANSI.green}Nothing missing - all entries and managed repos exist on disk${ANSI.reset}`);
+  }
+
+  missingItems.forEach((item, i) => {
+    const isSelected = i === reconcileSelectedIndex;
+    const prefix = isSelected ? `${ANSI.cyan}>${ANSI.reset}` : ' ';
+    const num = `${i + 1}.`;
+    const kind = item.kind === 'entry' ? `${ANSI.yellow}entry${ANSI.reset}` : `${ANSI.gray}repo ${ANSI.reset}`;
+    const name = isSelected ? `${ANSI.bold}${ANSI.white}${item.path}${ANSI.reset}` : item.path;
+    const label = item.name !== item.path ? ` ${ANSI.dim}(${item.name})${ANSI.reset}` : '';
+
+    lines.push(`${prefix} ${num} ${kind} ${name}${label}`);
+
+    if (isSelected) {
+      lines.push(`      ${ANSI.dim}remote: ${item.remote || 'unknown'}${ANSI.reset}`);
+      if (item.candidates.length > 0) {
+        const candidate = item.candidates[reconcileCandidateIndex % item.candidates.length];
+        const more = item.candidates.length > 1 ? ` ${ANSI.dim}(${reconcileCandidateIndex % item.candidates.length + 1}/${item.candidates.length}, Left/Right)${ANSI.reset}` : '';
+        lines.push(`      ${ANSI.green}found at: ${candidate}${ANSI.reset}${more}`);
+      } else {
+        lines.push(`      ${ANSI.dim}no scanned repo with the same remote${ANSI.reset}`);
+      }
+    }
+  });
+
+  lines.push(SEP60);
+  if (reconcileStatus) {
+    lines.push(`${ANSI.yellow}${reconcileStatus}${ANSI.reset}`);
+  }
+  lines.push('');
+  lines.push(`${ANSI.dim}Repos are matched by remote URL - rescan (s) after moving a repo${ANSI.reset}`);
+  lines.push(`${ANSI.dim}Enter: re-point to found repo | x: remove | s: rescan | Esc/q: back${ANSI.reset}`);
 
   printScreen(lines);
 }
@@ -1294,6 +4168,7 @@ function renderConfigMenu(state) {
     { key: '4', name: 'Create desktop shortcut', description: 'Add launcher to desktop' },
     { key: '5', name: 'Edit startup modes', description: 'Configure Claude startup commands' },
     { key: '6', name: `Claude command: ${currentClaudeCmd}`, description: 'Re-detect or set custom command' },
+    { key: '7', name: 'Re-detect IDEs', description: `Search PATH, JetBrains Toolbox, shortcuts (${state.ides.length} configured)` },
   ];
 
   const lines = [];
@@ -1321,6 +4196,17 @@ function renderConfigMenu(state) {
     lines.push(`${ANSI.yellow}${configStatus}${ANSI.reset}`);
   }
 
+  // Scan report: changes vs the previous repos.json (kept until leaving the menu)
+  if (state.scanReport) {
+    const { added, removed } = state.scanReport;
+    const shown = [
+      ...added.map(p => `  ${ANSI.green}+ ${p}${ANSI.reset}`),
+      ...removed.map(p => `  ${ANSI.red}- ${p}${ANSI.reset}`),
+    ];
+    shown.slice(0, 10).forEach(line => lines.push(line));
+    if (shown.length > 10) lines.push(`  ${ANSI.dim}... ${shown.length - 10} more${ANSI.reset}`);
+  }
+
   lines.push('');
   lines.push(`${ANSI.dim}Enter: select | Up/Down: navigate | Esc/q: back${ANSI.reset}`);
 
@@ -1404,6 +4290,90 @@ function renderNestPicker(state) {
   printScreen(lines);
 }
 
+function renderSkipPermissionsConfirm(state) {
+  const { entries, detached, batch } = state.skipPermissionsConfirm;
+  const lines = [];
+
+  lines.push(`${ANSI.bold}${ANSI.red}Skip Permissions:${ANSI.reset}`);
+  lines.push(SEP60);
+  lines.push('');
+  if (batch) {
+    const skipping = entries.filter(e => skipsPermissions(e, state.mode, state.customModes));
+    lines.push(`Launch ${entries.length} marked entries? These run with ${ANSI.red}--dangerously-skip-permissions${ANSI.reset}:`);
+    skipping.forEach(e => lines.push(`  ${ANSI.cyan}${e.name}${ANSI.reset}`));
+  } else {
+    lines.push(`Launch ${ANSI.cyan}${entries[0].name}${ANSI.reset} with ${ANSI.red}--dangerously-skip-permissions${ANSI.reset}?`);
+  }
+  lines.push('');
+  lines.push(`${ANSI.dim}Claude will run tools without asking for approval${detached ? ' (new window)' : ''}.${ANSI.reset}`);
+  lines.push('');
+  lines.push(SEP60);
+  lines.push('');
+  lines.push(`${ANSI.green}y${ANSI.reset}: launch | ${ANSI.red}n${ANSI.reset}/Esc: cancel`);
+
+  printScreen(lines);
+}
+
+function renderWorktreeCreate(state) {
+  const { repoPath, buffer, status, busy } = state.worktreeCreate;
+  const lines = [];
+
+  lines.push(`${ANSI.bold}${ANSI.green}New Worktree:${ANSI.reset} ${ANSI.cyan}${repoPath}${ANSI.reset}`);
+  lines.push(SEP60);
+  lines.push('');
+  lines.push(`Branch: ${ANSI.cyan}${buffer}${ANSI.reset}${busy ? '' : `${ANSI.bold}_${ANSI.reset}`}`);
+  if (buffer.trim()) {
+    lines.push(`${ANSI.dim}Directory: ${getNewWorktreePath(repoPath, buffer.trim())}${ANSI.reset}`);
+  }
+  lines.push('');
+  if (status) {
+    lines.push(`${status.startsWith('Error') ? ANSI.red : ANSI.yellow}${status}${ANSI.reset}`);
+    lines.push('');
+  }
+  lines.push(SEP60);
+  lines.push(`${ANSI.dim}Existing branch is checked out, origin/<branch> is tracked, otherwise a new branch is created from HEAD${ANSI.reset}`);
+  lines.push(`${ANSI.dim}Enter: create and launch Claude | Esc: cancel${ANSI.reset}`);
+
+  printScreen(lines);
+}
+
+function renderClaudeOptions(state) {
+  const { claudeOptionsEntry, claudeOptionsSelectedIndex, claudeOptionsEditing, claudeOptionsBuffer } = state;
+  const options = getClaudeOptions(claudeOptionsEntry);
+  const lines = [];
+
+  lines.push(`${ANSI.bold}${ANSI.green}Claude Options:${ANSI.reset} ${ANSI.cyan}${claudeOptionsEntry.name}${ANSI.reset}`);
+  lines.push(SEP60);
+
+  CLAUDE_OPTION_FIELDS.forEach((field, i) => {
+    const isSelected = i === claudeOptionsSelectedIndex;
+    const prefix = isSelected ? `${ANSI.cyan}>${ANSI.reset}` : ' ';
+    const label = field.label.padEnd(17);
+    let value;
+    if (isSelected && claudeOptionsEditing) {
+      value = `${ANSI.cyan}${claudeOptionsBuffer}${ANSI.reset}${ANSI.bold}_${ANSI.reset}`;
+    } else {
+      const text = formatClaudeOptionValue(options, field);
+      const color = field.key === 'skipPermissions' && options.skipPermissions ? ANSI.red : '';
+      value = isSelected ? `${ANSI.bold}${ANSI.white}${color}${text}${ANSI.reset}` : `${color}${text}${ANSI.reset}`;
+    }
+    lines.push(`${prefix} ${label} ${value}`);
+  });
+
+  lines.push(SEP60);
+  const args = buildClaudeArgs(options, null);
+  lines.push(`${ANSI.dim}claude ${args.length > 0 ? formatCommandLine('', args, shQuote).trim() : ''}${ANSI.reset}`);
+  lines.push('');
+  if (claudeOptionsEditing) {
+    const hint = claudeOptionsEditing === 'list' ? 'comma-separated, relative to entry' : 'empty to clear';
+    lines.push(`${ANSI.dim}Type to edit (${hint}) | Enter: save | Esc: cancel${ANSI.reset}`);
+  } else {
+    lines.push(`${ANSI.dim}Enter/Space: toggle or edit | Up/Down: navigate | Esc/q: back${ANSI.reset}`);
+  }
+
+  printScreen(lines);
+}
+
 function renderEditName(state) {
   const { editNameEntry, editNameBuffer } = state;
   const lines = [];
@@ -1466,8 +4436,10 @@ function renderEntriesEditMode(state) {
         : displayName;
 
       const ideSuffix = `${ANSI.dim} [${entry.ide || 'WebStorm'}]${ANSI.reset}`;
+      const behaviour = getEntryBehaviour(entry);
+      const behaviourSuffix = behaviour !== 'open' ? ` ${ANSI.magenta}[${behaviour}]${ANSI.reset}` : '';
 
-      lines.push(`${prefix} ${num} ${expandIndicator}${indent}${name}${ideSuffix}`);
+      lines.push(`${prefix} ${num} ${expandIndicator}${indent}${name}${ideSuffix}${behaviourSuffix}`);
     });
   }
 
@@ -1487,11 +4459,17 @@ function renderEntriesEditMode(state) {
       lines.push(`  ${ANSI.dim}path:${ANSI.reset} ${entry.path}`);
       lines.push(`  ${ANSI.dim}IDE:${ANSI.reset}  ${entry.ide || 'WebStorm'}`);
     }
+    lines.push(`  ${ANSI.dim}behaviour:${ANSI.reset} ${getEntryBehaviour(entry)}${entry.path ? `  ${ANSI.dim}openable:${ANSI.reset} ${entry.openableAsRoot === false ? 'no' : 'yes'}` : ''}`);
+    const optionLabels = describeClaudeOptions(getClaudeOptions(entry));
+    if (optionLabels.length > 0) {
+      lines.push(`  ${ANSI.dim}claude:${ANSI.reset} ${optionLabels.join(', ')}`);
+    }
     lines.push('');
   }
 
   lines.push(SEP60);
   lines.push(`${ANSI.dim}u/d: move | a: add | x: remove | g: group | n: nest | f: flatten | e: rename | i: IDE${ANSI.reset}`);
+  lines.push(`${ANSI.dim}b: behaviour (open/hoist/hidden) | o: toggle openable | c: Claude options${ANSI.reset}`);
   lines.push(`${ANSI.dim}Left/Right: collapse/expand | Enter: save | Esc/q: cancel${ANSI.reset}`);
 
   printScreen(lines);
@@ -1537,6 +4515,222 @@ function renderStartupModesEdit(state) {
   printScreen(lines);
 }
 
+/**
+ * Diff lines that fit the terminal below the header and above the footer
+ */
+function getDiffPageSize() {
+  return Math.max(5, (process.stdout.rows || 24) - 6);
+}
+
+function renderDiffView(state) {
+  const view = state.diffView;
+  const { status } = view.files[view.fileIndex];
+  const file = formatChangedFile(view.files[view.fileIndex]);
+  const lines = [];
+
+  const position = view.files.length > 1 ? ` ${ANSI.dim}[${view.fileIndex + 1}/${view.files.length}]${ANSI.reset}` : '';
+  lines.push(`${ANSI.bold}${ANSI.cyan}Diff:${ANSI.reset} ${view.repoPath} ${ANSI.dim}>${ANSI.reset} ${ANSI.bold}${file}${ANSI.reset} ${ANSI.yellow}${status.trim()}${ANSI.reset}${position}`);
+  lines.push(SEP60);
+
+  const pageSize = getDiffPageSize();
+  const width = (process.stdout.columns || 120) - 1;
+  if (view.loading) {
+    lines.push(`${ANSI.yellow}Loading diff...${ANSI.reset}`);
+  } else if (view.lines.length === 0) {
+    lines.push(`${ANSI.dim}No changes to show${ANSI.reset}`);
+  } else {
+    // Long lines are cut so one diff line is one screen row
+    view.lines.slice(view.offset, view.offset + pageSize).forEach(line => {
+      lines.push(line.startsWith('\u0000') ? line.slice(1) : colorDiffLine(line.length > width ? line.slice(0, width) : line));
+    });
+  }
+
+  lines.push(SEP60);
+  const total = view.lines.length;
+  const range = total > 0 ? `lines ${view.offset + 1}-${Math.min(total, view.offset + pageSize)} of ${total}` : '';
+  if (view.status) lines.push(`${view.status.startsWith('Error') ? ANSI.red : ANSI.green}${view.status}${ANSI.reset}`);
+  lines.push(`${ANSI.dim}${range}${range ? ' | ' : ''}Up/Down, PgUp/PgDn/Space: scroll | Home/End | n/p: next/prev file | o: open in IDE | Esc/q: back${ANSI.reset}`);
+
+  printScreen(lines);
+}
+
+function renderRepoDetail(state) {
+  const { name, path: repoPath, loading, data, selectedIndex, status } = state.repoDetail;
+  const lines = [];
+
+  lines.push(`${ANSI.bold}${ANSI.cyan}Repository:${ANSI.reset} ${ANSI.bold}${name}${ANSI.reset}${name !== repoPath ? ` ${ANSI.dim}(${repoPath})${ANSI.reset}` : ''}`);
+  lines.push(SEP60);
+
+  if (loading || !data) {
+    lines.push(`${ANSI.yellow}Reading history...${ANSI.reset}`);
+    printScreen(lines);
+    return;
+  }
+
+  // Current branch and upstream
+  let tracking = `${ANSI.magenta}no upstream${ANSI.reset}`;
+  if (data.upstream) {
+    const sync = data.ahead > 0 || data.behind > 0
+      ? `${data.ahead > 0 ? `${ANSI.green}↑${data.ahead}${ANSI.reset}` : ''}${data.behind > 0 ? `${ANSI.red}↓${data.behind}${ANSI.reset}` : ''}`
+      : `${ANSI.dim}=${ANSI.reset}`;
+    tracking = `-> ${data.upstream} ${sync}`;
+  }
+  const branchLabel = data.branch === 'HEAD' ? 'detached HEAD' : data.branch;
+  lines.push(`Branch ${ANSI.yellow}${branchLabel}${ANSI.reset} ${tracking}`);
+
+  // Recent commits, unpushed ones marked
+  lines.push('');
+  const unpushedLabel = data.unpushedCount > 0
+    ? ` ${ANSI.green}${data.unpushedCount} unpushed${data.upstream ? '' : ' (not on any remote)'}${ANSI.reset}`
+    : '';
+  lines.push(`${ANSI.bold}Recent commits:${ANSI.reset}${unpushedLabel}`);
+  if (data.commits.length === 0) {
+    lines.push(`  ${ANSI.dim}No commits${ANSI.reset}`);
+  }
+  for (const commit of data.commits) {
+    const marker = commit.unpushed ? `${ANSI.green}↑${ANSI.reset}` : ' ';
+    lines.push(`${marker} ${ANSI.yellow}${commit.sha.slice(0, 7)}${ANSI.reset} ${commit.subject} ${ANSI.dim}(${commit.when}, ${commit.author})${ANSI.reset}`);
+  }
+
+  // Local branches vs default branch
+  lines.push('');
+  lines.push(`${ANSI.bold}Branches${ANSI.reset} ${ANSI.dim}(vs ${data.defaultBranch})${ANSI.reset}`);
+  const nameLen = Math.min(30, Math.max(...data.branches.map(b => b.name.length), 6));
+  data.branches.forEach((branch, i) => {
+    const isSelected = i === selectedIndex;
+    const prefix = isSelected ? `${ANSI.cyan}>${ANSI.reset}` : ' ';
+    const current = branch.current ? `${ANSI.green}*${ANSI.reset}` : ' ';
+    const displayName = (branch.name.length > 30 ? branch.name.slice(-30) : branch.name).padEnd(nameLen);
+    const nameText = isSelected ? `${ANSI.bold}${ANSI.white}${displayName}${ANSI.reset}` : displayName;
+
+    let vs = `${ANSI.dim}-${ANSI.reset}`;
+    let vsLen = 1;
+    const { vsDefault } = branch;
+    if (vsDefault && vsDefault.error) {
+      vs = `${ANSI.dim}?${ANSI.reset}`;
+    } else if (vsDefault && !vsDefault.onMain && (vsDefault.ahead > 0 || vsDefault.behind > 0)) {
+      vs = `${vsDefault.ahead > 0 ? `${ANSI.cyan}↑${vsDefault.ahead}${ANSI.reset}` : ''}${vsDefault.behind > 0 ? `${ANSI.magenta}↓${vsDefault.behind}${ANSI.reset}` : ''}`;
+      vsLen = (vsDefault.ahead > 0 ? 1 + String(vsDefault.ahead).length : 0) + (vsDefault.behind > 0 ? 1 + String(vsDefault.behind).length : 0);
+    } else if (vsDefault && !vsDefault.onMain) {
+      vs = `${ANSI.dim}=${ANSI.reset}`;
+    }
+
+    lines.push(`${prefix}${current} ${nameText}  ${vs}${' '.repeat(Math.max(0, 10 - vsLen))}${ANSI.dim}${(branch.upstream || '-').padEnd(20)} ${branch.when}${ANSI.reset}`);
+  });
+
+  lines.push(SEP60);
+  if (status) {
+    lines.push(`${status.startsWith('Error') ? ANSI.red : ANSI.yellow}${status}${ANSI.reset}`);
+  }
+  lines.push(`${ANSI.dim}Up/Down: branch | Enter: check out + launch Claude | o: check out only | Esc/q: back${ANSI.reset}`);
+
+  printScreen(lines);
+}
+
+function renderRemotePushConfirm(state) {
+  const { plans } = state.remotePushConfirm;
+  const lines = [];
+
+  lines.push(`${ANSI.bold}${ANSI.yellow}Push ${plans.length} repo${plans.length > 1 ? 's' : ''}?${ANSI.reset}`);
+  lines.push(SEP60);
+
+  for (const { row, target, setUpstream, commits } of plans) {
+    const count = setUpstream ? `${ANSI.magenta}new branch, sets upstream${ANSI.reset}` : `${ANSI.green}↑${row.ahead}${ANSI.reset}`;
+    lines.push(`${ANSI.cyan}${row.name}${ANSI.reset}  ${row.branch} -> ${target}  ${count}`);
+    commits.slice(0, 5).forEach(commit => lines.push(`    ${ANSI.dim}${commit}${ANSI.reset}`));
+    if (commits.length > 5) lines.push(`    ${ANSI.dim}...${ANSI.reset}`);
+  }
+
+  lines.push(SEP60);
+  lines.push('');
+  lines.push(`${ANSI.green}y${ANSI.reset} / Enter - push   ${ANSI.yellow}n${ANSI.reset} / Esc - cancel`);
+
+  printScreen(lines);
+}
+
+/**
+ * Records shown in the operation log screen, newest first
+ */
+function getVisibleOperations(view) {
+  const records = view.failuresOnly ? view.records.filter(r => !r.ok) : view.records;
+  return [...records].reverse();
+}
+
+function renderOperationLog(state) {
+  const view = state.operationLogView;
+  const visible = getVisibleOperations(view);
+  const lines = [];
+
+  const scope = view.failuresOnly ? `failures (${visible.length} of ${view.records.length})` : `all (${visible.length})`;
+  lines.push(`${ANSI.bold}${ANSI.red}Operation Log:${ANSI.reset} ${scope}`);
+  lines.push(SEP60);
+
+  if (visible.length === 0) {
+    lines.push(`${ANSI.dim}${view.failuresOnly ? 'No failed operations' : 'No operations logged yet'}${ANSI.reset}`);
+  }
+
+  // Window of rows around the selection
+  const windowSize = 12;
+  const start = Math.max(0, Math.min(view.selectedIndex - Math.floor(windowSize / 2), visible.length - windowSize));
+  visible.slice(start, start + windowSize).forEach((record, i) => {
+    const isSelected = start + i === view.selectedIndex;
+    const prefix = isSelected ? `${ANSI.cyan}>${ANSI.reset}` : ' ';
+    const status = record.ok ? `${ANSI.green}ok  ${ANSI.reset}` : `${ANSI.red}fail${ANSI.reset}`;
+    const name = isSelected ? `${ANSI.bold}${ANSI.white}${record.repo}${ANSI.reset}` : record.repo;
+    const when = (formatTimeAgo(record.time) || '').padEnd(8);
+    lines.push(`${prefix} ${ANSI.dim}${when}${ANSI.reset} ${status} ${record.op.padEnd(16)} ${name}`);
+  });
+
+  // Details of the selected record
+  const selected = visible[view.selectedIndex];
+  if (selected) {
+    lines.push(SEP60);
+    const exit = selected.timedOut ? 'timed out' : `exit ${selected.code ?? '?'}`;
+    lines.push(`${ANSI.cyan}$ ${selected.command}${ANSI.reset} ${ANSI.dim}(in ${selected.repo}, ${exit}, ${(selected.duration / 1000).toFixed(1)}s, ${new Date(selected.time).toLocaleString()})${ANSI.reset}`);
+    const hint = getFailureHint(selected);
+    if (hint) lines.push(`${ANSI.yellow}Hint: ${hint}${ANSI.reset}`);
+    for (const [label, text] of [['stderr', selected.stderr], ['stdout', selected.stdout]]) {
+      const outputLines = text.split(/\r?\n/).filter(l => l.trim());
+      if (outputLines.length === 0) continue;
+      lines.push(`${ANSI.dim}${label}:${ANSI.reset}`);
+      outputLines.slice(-10).forEach(l => lines.push(`  ${l}`));
+    }
+  }
+
+  lines.push(SEP60);
+  lines.push(`${ANSI.dim}Up/Down: navigate | a: ${view.failuresOnly ? 'show all' : 'failures only'} | Esc/q: back${ANSI.reset}`);
+
+  printScreen(lines);
+}
+
+function renderRemoteSyncReport(state) {
+  const { results, upToDate } = state.remoteSyncReport;
+  const counts = { updated: 0, skipped: 0, failed: 0 };
+  results.forEach(r => counts[r.outcome]++);
+
+  const lines = [];
+  lines.push(`${ANSI.bold}${ANSI.blue}Sync Behind Repos:${ANSI.reset} ${ANSI.green}${counts.updated} fast-forwarded${ANSI.reset}, ${ANSI.yellow}${counts.skipped} skipped${ANSI.reset}, ${ANSI.red}${counts.failed} failed${ANSI.reset} ${ANSI.dim}(${upToDate} up to date)${ANSI.reset}`);
+  lines.push(SEP60);
+
+  if (results.length === 0) {
+    lines.push(`${ANSI.dim}No repos behind their upstream${ANSI.reset}`);
+  } else {
+    const nameLen = Math.min(35, Math.max(...results.map(r => r.row.name.length), 4));
+    const outcomeColors = { updated: ANSI.green, skipped: ANSI.yellow, failed: ANSI.red };
+    lines.push(`${ANSI.dim}${'REPO'.padEnd(nameLen)}  RESULT   DETAIL${ANSI.reset}`);
+    for (const { row, outcome, detail } of results) {
+      const name = row.name.length > 35 ? row.name.slice(-35) : row.name;
+      lines.push(`${name.padEnd(nameLen)}  ${outcomeColors[outcome]}${outcome.padEnd(7)}${ANSI.reset}  ${detail}`);
+    }
+  }
+
+  lines.push(SEP60);
+  lines.push('');
+  lines.push(`${ANSI.dim}Enter/Esc: back to Remote Status${ANSI.reset}`);
+
+  printScreen(lines);
+}
+
 function renderRemoteStatus(state) {
   const { remoteStatusRepos, remoteStatusSelectedIndex, remoteStatusFetching, remoteStatusPushing, remoteStatusMessage, remoteStatusLastFetch } = state;
   const lines = [];
@@ -1545,7 +4739,8 @@ function renderRemoteStatus(state) {
   let headerSuffix = '';
   const timeAgo = formatTimeAgo(remoteStatusLastFetch);
   if (timeAgo) {
-    headerSuffix = ` ${ANSI.dim}(fetched ${timeAgo})${ANSI.reset}`;
+    const stale = isStale(remoteStatusLastFetch, state.autoRefresh.staleAfter);
+    headerSuffix = ` ${ANSI.dim}(fetched ${timeAgo})${ANSI.reset}${stale ? ` ${ANSI.yellow}(stale - f: fetch)${ANSI.reset}` : ''}`;
   }
   lines.push(`${ANSI.bold}${ANSI.blue}Remote Status:${ANSI.reset}${headerSuffix}`);
   lines.push(`${ANSI.dim}${'='.repeat(85)}${ANSI.reset}`);
@@ -1563,7 +4758,9 @@ function renderRemoteStatus(state) {
   if (state.showRemoteChangedFiles && state.remoteChangedFiles && state.remoteChangedFiles.length > 0) {
     lines.push('');
     lines.push(`${ANSI.cyan}Changed files in ${state.remoteChangedFilesPath}:${ANSI.reset}`);
-    state.remoteChangedFiles.forEach(({ status, file }) => {
+    state.remoteChangedFiles.forEach(changed => {
+      const { status } = changed;
+      const file = formatChangedFile(changed);
       // Color based on status type
       const statusColor = status.includes('?') ? ANSI.green :        // untracked
                           status.includes('D') ? ANSI.red :          // deleted
@@ -1579,34 +4776,83 @@ function renderRemoteStatus(state) {
   // Status message (includes fetching/pushing indicators)
   if (remoteStatusFetching) {
     lines.push('');
-    lines.push(`${ANSI.yellow}Fetching from remotes...${ANSI.reset}`);
+    lines.push(`${ANSI.yellow}Fetching from remotes...${formatProgress(state.remoteStatusProgress)}${ANSI.reset}`);
   } else if (remoteStatusPushing) {
     lines.push('');
-    lines.push(`${ANSI.yellow}Pushing to remotes...${ANSI.reset}`);
+    lines.push(`${ANSI.yellow}Pushing to remotes...${formatProgress(state.remoteStatusProgress)}${ANSI.reset}`);
+  } else if (state.remoteStatusProgress) {
+    lines.push('');
+    lines.push(`${ANSI.yellow}Reading local status...${formatProgress(state.remoteStatusProgress)}${ANSI.reset}`);
   } else if (remoteStatusMessage) {
     lines.push('');
     lines.push(`${ANSI.yellow}${remoteStatusMessage}${ANSI.reset}`);
   }
 
-  // Count repos that can be pushed
-  const pushableCount = remoteStatusRepos.filter(r => r.ahead > 0).length;
+  // Actions for the selected row (Enter)
+  if (state.remoteActionMenu) {
+    const { row, actions, selectedIndex } = state.remoteActionMenu;
+    lines.push('');
+    lines.push(`${ANSI.cyan}Actions for ${row.name} (${row.branch}):${ANSI.reset}`);
+    actions.forEach((action, i) => {
+      const prefix = i === selectedIndex ? `${ANSI.cyan}>${ANSI.reset}` : ' ';
+      lines.push(`${prefix} ${ANSI.bold}${action.key}${ANSI.reset}  ${action.label}`);
+    });
+    lines.push(`${ANSI.dim}Enter or key: run | Esc: close${ANSI.reset}`);
+  }
+
+  // Count repos that can be pushed (marked rows, else rows ahead of their upstream)
+  const markedRows = remoteStatusRepos.filter(r => state.remoteStatusMarked.has(r.path));
+  const pushableCount = markedRows.length > 0
+    ? markedRows.filter(planPush).length
+    : remoteStatusRepos.filter(r => r.upstream && r.ahead > 0).length;
 
+  // Submodule update applies to a submodule row or a parent with submodules
+  const selected = remoteStatusRepos[remoteStatusSelectedIndex];
+  if (selected && (selected.submoduleOf || remoteStatusRepos.some(r => r.submoduleOf === selected.path))) {
+    lines.push('');
+    lines.push(`${ANSI.dim}u: update ${selected.submoduleOf ? 'submodule' : 'all submodules'} (init + checkout recorded commit)${ANSI.reset}`);
+  }
+
+  const scope = markedRows.length > 0 ? 'marked' : 'all';
   lines.push('');
+  if (markedRows.length > 0) {
+    lines.push(`${ANSI.green}${markedRows.length} marked${ANSI.reset}`);
+  }
   if (pushableCount > 0) {
-    lines.push(`${ANSI.dim}Space: files | p: push all (${pushableCount}) | f: fetch | Esc/q: back${ANSI.reset}`);
+    lines.push(`${ANSI.dim}Enter: actions | m: mark | Space: files | p: push ${scope} (${pushableCount}) | f: fetch ${scope} | s: sync behind | g: history | e: errors | Esc/q: back${ANSI.reset}`);
   } else {
-    lines.push(`${ANSI.dim}Space: show files | f: fetch all | Esc/q: back${ANSI.reset}`);
+    lines.push(`${ANSI.dim}Enter: actions | m: mark | Space: show files | f: fetch ${scope} | s: sync behind | g: history | e: errors | Esc/q: back${ANSI.reset}`);
   }
 
   printScreen(lines);
 }
 
+/**
+ * Submodule row that is uninitialised, off its recorded commit, conflicted or dirty
+ */
+function hasSubmoduleIssue(row) {
+  if (!row.submoduleOf || row.loading) return false;
+  return (row.submodule?.state || 'ok') !== 'ok' || Boolean(row.changes) || row.ahead > 0 || row.behind > 0;
+}
+
 function renderRemoteTable(lines, state) {
   const { remoteStatusRepos, remoteStatusSelectedIndex } = state;
+  // The status command passes no autoRefresh: its rows were just read, never stale
+  const fetchStale = isStale(state.remoteStatusLastFetch, state.autoRefresh?.staleAfter);
+
+  // Submodule rows are indented under their parent repo
+  const rowName = r => (r.submoduleOf ? `  ${r.name}` : r.name);
+  const rowBranch = r => {
+    if (r.loading) return '...';
+    if (r.missing) return 'missing';
+    if (r.submodule?.state === 'uninitialized') return 'not init';
+    if (r.branch === 'HEAD') return 'detached';
+    return r.branch || 'unknown';
+  };
 
   // Calculate column widths for alignment
-  const maxNameLen = Math.min(35, Math.max(...remoteStatusRepos.map(r => r.name.length), 4));
-  const maxBranchLen = Math.min(15, Math.max(...remoteStatusRepos.map(r => (r.branch || '').length), 6));
+  const maxNameLen = Math.min(35, Math.max(...remoteStatusRepos.map(r => rowName(r).length), 4));
+  const maxBranchLen = Math.min(15, Math.max(...remoteStatusRepos.map(r => rowBranch(r).length), 6));
 
   // Column headers
   const repoHeader = 'REPO'.padEnd(maxNameLen);
@@ -1615,23 +4861,45 @@ function renderRemoteTable(lines, state) {
 
   remoteStatusRepos.forEach((repo, i) => {
     const isSelected = i === remoteStatusSelectedIndex;
-    const prefix = isSelected ? `${ANSI.cyan}>${ANSI.reset}` : ' ';
+    const isMarked = state.remoteStatusMarked?.has(repo.path);
+    const prefix = isMarked
+      ? `${isSelected ? `${ANSI.cyan}>` : ' '}${ANSI.green}*${ANSI.reset}`
+      : `${isSelected ? `${ANSI.cyan}>${ANSI.reset}` : ' '} `;
 
     // Name column
-    let displayName = repo.name.length > 35 ? repo.name.slice(-35) : repo.name;
+    const name = rowName(repo);
+    let displayName = name.length > 35 ? name.slice(-35) : name;
     displayName = displayName.padEnd(maxNameLen);
 
     const nameColor = isSelected
       ? `${ANSI.bold}${ANSI.white}`
-      : ANSI.yellow;
+      : repo.submoduleOf ? ANSI.cyan : ANSI.yellow;
 
-    // Branch column
-    const branch = (repo.branch || 'unknown').padEnd(maxBranchLen);
+    // Branch column - uninitialised (red) and detached (yellow) submodules stand out
+    const branchText = rowBranch(repo);
+    const branchColor = branchText === 'not init' ? ANSI.red : branchText === 'detached' ? ANSI.yellow : ANSI.dim;
+    const branch = branchText.padEnd(maxBranchLen);
 
     // Ahead/behind indicators vs upstream - show = for in sync
+    // Submodules not at the commit recorded in the parent show 'moved' instead
     let syncStatus = '';
     let syncRawLen = 1; // length without ANSI codes
-    if (repo.ahead > 0 || repo.behind > 0) {
+    const submoduleState = repo.submodule?.state;
+    if (repo.loading) {
+      syncStatus = `${ANSI.dim}...${ANSI.reset}`;
+      syncRawLen = 3;
+    } else if (repo.missing || submoduleState === 'uninitialized') {
+      syncStatus = `${ANSI.dim}-${ANSI.reset}`;
+    } else if (submoduleState === 'modified' || submoduleState === 'conflict') {
+      syncStatus = `${submoduleState === 'conflict' ? ANSI.red : ANSI.yellow}${submoduleState === 'conflict' ? 'conflict' : 'moved'}${ANSI.reset}`;
+      syncRawLen = syncStatus.replace(/\x1b\[[0-9;]*m/g, '').length;
+    } else if (repo.fetchResult && !repo.fetchResult.success) {
+      syncStatus = `${ANSI.red}fetch ✗${ANSI.reset}`;  // last fetch failed - counts are stale
+      syncRawLen = 7;
+    } else if (!repo.upstream && repo.remote && repo.branch && repo.branch !== 'HEAD') {
+      syncStatus = `${ANSI.magenta}new${ANSI.reset}`;  // branch not pushed yet
+      syncRawLen = 3;
+    } else if (repo.ahead > 0 || repo.behind > 0) {
       if (repo.ahead > 0) {
         syncStatus += `${ANSI.green}↑${repo.ahead}${ANSI.reset}`;
         syncRawLen += 1 + String(repo.ahead).length;
@@ -1640,6 +4908,8 @@ function renderRemoteTable(lines, state) {
         syncStatus += `${ANSI.red}↓${repo.behind}${ANSI.reset}`;
         syncRawLen += 1 + String(repo.behind).length;
       }
+      // Counts against remote-tracking refs are only as fresh as the last fetch
+      if (fetchStale) syncStatus = dimText(syncStatus);
     } else {
       syncStatus = `${ANSI.dim}=${ANSI.reset}`;  // = means in sync
     }
@@ -1670,13 +4940,17 @@ function renderRemoteTable(lines, state) {
     }
     const vsMainPadding = ' '.repeat(Math.max(0, 10 - vsMainRawLen));
 
-    // Local changes
+    // Local changes; a parent with submodules that need attention is flagged
     let changesDisplay = '';
     if (repo.changes) {
-      changesDisplay = `${ANSI.green}+${repo.changes.added}${ANSI.reset}/${ANSI.yellow}-${repo.changes.removed}${ANSI.reset}`;
+      changesDisplay = formatStats(repo.changes);
+    }
+    const submoduleIssues = remoteStatusRepos.filter(r => r.submoduleOf === repo.path && hasSubmoduleIssue(r)).length;
+    if (submoduleIssues > 0) {
+      changesDisplay += `${changesDisplay ? ' ' : ''}${ANSI.yellow}(${submoduleIssues} submodule${submoduleIssues > 1 ? 's' : ''})${ANSI.reset}`;
     }
 
-    lines.push(`${prefix} ${nameColor}${displayName}${ANSI.reset}  ${ANSI.dim}${branch}${ANSI.reset}  ${syncStatus}${syncPadding}${vsMainStatus}${vsMainPadding}${changesDisplay}`);
+    lines.push(`${prefix}${nameColor}${displayName}${ANSI.reset}  ${branchColor}${branch}${ANSI.reset}  ${syncStatus}${syncPadding}${vsMainStatus}${vsMainPadding}${changesDisplay}`);
   });
 }
 
@@ -1692,15 +4966,34 @@ async function main() {
     console.log(`
 Claude Root Launcher
 
-Usage: node launcher.js --workspace-root <path> --state-dir <path> [options]
+Usage: node launcher.js --workspace-root <path> --state-dir <path> [command] [options]
 
 Required:
   --workspace-root  Workspace root directory (where repos live)
   --state-dir       Plugin state directory (for config files)
 
+Commands (omit for the interactive menu):
+  list                      List entries and other managed repos
+  open <entry-name|path>    Launch an entry
+      --mode <mode>         Launch mode (e.g. Claude, IDE, "Claude + IDE")
+      --startup <command>   Claude startup mode or command (e.g. "/git:commit")
+      --new-window          Open Claude in a new terminal window
+      --yes, -y             Confirm launching with --dangerously-skip-permissions
+  worktree <repo> <branch>  Create a worktree for branch next to repo, launch Claude in it
+                            (--mode, --startup, --new-window, --yes as for open)
+  status                    Print remote sync status for managed repos
+      --fetch               Fetch from remotes first
+  scan                      Scan workspace for repos and update repos.json
+
+  --json                    Machine-readable output for list, status and scan
+                            (schema documented in launcher/README.md)
+
+Exit codes: 0 success, 1 failure, 2 usage error
+
 Options:
   --setup     Run interactive setup wizard
-  --config    Show current configuration
+  --config    Check configuration: paths, summary, validation report
+              (exit code 1 when problems are found; --json for raw report)
   --help      Show this help message
 
 Note: Use the wrapper scripts (launcher.ps1 / launcher.sh) which
@@ -1709,6 +5002,12 @@ automatically provide the correct paths from your workspace root.
     return;
   }
 
+  if (args.errors.length > 0) {
+    args.errors.forEach(error => console.error(`${ANSI.red}Error: ${error}${ANSI.reset}`));
+    console.error('Run with --help for usage information.');
+    process.exit(EXIT_USAGE);
+  }
+
   // Validate required args
   if (!args.workspaceRoot || !args.stateDir) {
     console.error(`${ANSI.red}Error: --workspace-root and --state-dir are required.${ANSI.reset}`);
@@ -1722,19 +5021,23 @@ automatically provide the correct paths from your workspace root.
   STATE_DIR = args.stateDir;
   LAUNCHER_SCRIPT = args.launcherScript;
 
+  if (args.config) {
+    process.exitCode = commandConfig(args);
+    return;
+  }
+
   // Ensure state directory exists
   if (!fs.existsSync(STATE_DIR)) {
     fs.mkdirSync(STATE_DIR, { recursive: true });
   }
 
-  if (args.config) {
-    const { config } = loadConfig();
-    console.log(JSON.stringify(config, null, 2));
+  if (args.setup) {
+    await runSetup();
     return;
   }
 
-  if (args.setup) {
-    await runSetup();
+  if (args.command) {
+    process.exitCode = await runCommand(args);
     return;
   }
 
@@ -1750,9 +5053,10 @@ automatically provide the correct paths from your workspace root.
   const allRepos = reposData.repositories || [];
   const managedRepos = getManagedRepos(allRepos, config.unmanagedPaths || []);
   const otherManagedRepos = getOtherManagedRepos(managedRepos, config.entries);
+  const worktreesByRepo = groupWorktrees(allRepos);
 
   // Flatten entries for display (with depth info)
-  const flattenedEntries = flattenEntries(config.entries);
+  const flattenedEntries = flattenMenuEntries(config.entries, 0, null, worktreesByRepo);
   // Add "Other managed" virtual entry at the end if any
   if (otherManagedRepos.length > 0) {
     flattenedEntries.push({
@@ -1770,24 +5074,40 @@ automatically provide the correct paths from your workspace root.
     allRepos: allRepos,                // All repos from repos.json
     unmanagedPaths: config.unmanagedPaths || [],
     otherManagedRepos: otherManagedRepos,
+    worktreesByRepo: worktreesByRepo,  // worktree records from repos.json by main repo path
+    vanishedRepos: reposData.vanished || [], // repos.json records that vanished in earlier scans
+    missingItems: findMissingRepos(config.entries, allRepos, reposData.vanished || [], config.unmanagedPaths || []),
     selectedIndex: 0,
-    mode: config.modes[0],
+    mode: getModeCycle(config)[0],
     claudeStartupMode: config.claudeStartupModes[0],
-    modes: config.modes,
+    modes: getModeCycle(config),
+    customModes: config.customModes || [],
     claudeStartupModes: config.claudeStartupModes,
     ides: config.ides || [],
     // Cache-backed state
     diffs: cache.diffs.data || {},
     diffsLastScan: cache.diffs.lastScan,
+    diffsRefreshedAt: cache.diffs.refreshedAt || {},   // repo path -> time it was last rescanned on its own
+    autoRefresh: getAutoRefreshSettings(config),
     scanning: false,
+    scanProgress: null,            // { done, total } while scanning diffs
+    gitConcurrency: config.gitConcurrency || DEFAULT_GIT_CONCURRENCY,
+    launched: false,               // true once Claude runs in this terminal
     // Changed files display state
     showChangedFiles: false,       // toggle with 'l' key
     changedFilesPath: null,        // path of entry showing files
-    changedFiles: null,            // array of { status, file }
+    changedFiles: null,            // array of { status, file, from }
+    changedFilesFocus: false,      // Right on shown files - navigate the list
+    changedFilesSelectedIndex: 0,
+    changedFilesStatus: null,      // result of the last stage/unstage/discard/commit
+    commitPrompt: null,            // commit message being typed (null = no prompt)
+    discardConfirm: null,          // changed file { status, file, from } awaiting y/n
+    diffView: null,                // { repoPath, entry, files, fileIndex, lines, offset, loading, status }
     // Config menu state
     configMode: false,
     configSelectedIndex: 0,
     configStatus: null, // Status message to display
+    scanReport: null,   // { added, removed } from the last scan in the config menu
     // Entries editing mode state
     entriesEditMode: false,
     entriesEditSelectedIndex: 0,
@@ -1805,9 +5125,30 @@ automatically provide the correct paths from your workspace root.
     editNameMode: false,          // 'e' key - inline name edit
     editNameBuffer: '',           // current text input
     editNameEntry: null,          // entry being renamed
+    claudeOptionsMode: false,     // 'c' key - per-entry Claude options
+    claudeOptionsEntry: null,     // entry being edited
+    claudeOptionsSelectedIndex: 0,
+    claudeOptionsEditing: null,   // field kind while editing text, else null
+    claudeOptionsBuffer: '',
+    skipPermissionsConfirm: null, // { entry, detached } awaiting y/n
+    worktreeCreate: null,                // 't' key - { repoPath, buffer, status, busy }
+    // Multi-select state ('m' key)
+    markedPaths: new Set(),              // entry paths marked for batch launch
+    batchLaunchResults: null,            // [{ entry, success, message }] from last batch
+    // Search mode state ('/' key)
+    searchMode: false,
+    searchQuery: '',
+    searchCandidates: [],                // collected when search opens
+    searchResults: [],                   // ranked { entry, trail, otherManaged, field, positions }
+    searchSelectedIndex: 0,
     // Management mode state (repos visibility)
     managementMode: false,
     managementSelectedIndex: 0,
+    // Reconcile missing repos state ('x' key)
+    reconcileMode: false,
+    reconcileSelectedIndex: 0,
+    reconcileCandidateIndex: 0,          // which same-remote candidate Enter re-points to
+    reconcileStatus: null,
     // Other managed submenu state
     otherManagedMode: false,
     otherManagedSelectedIndex: 0,
@@ -1821,64 +5162,500 @@ automatically provide the correct paths from your workspace root.
     remoteStatusRepos: [],               // flat list of { path, name, branch, ahead, behind, changes }
     remoteStatusFetching: false,
     remoteStatusPushing: false,
+    remoteStatusSyncing: false,          // 's' sync in progress, from its fetch until the report shows
+    remoteStatusMarked: new Set(),       // row paths marked for bulk fetch/push ('m' key)
+    remoteActionMenu: null,              // { row, actions, selectedIndex } - Enter on a row
+    remotePushConfirm: null,             // { plans } awaiting y/n before pushing
+    remoteSyncReport: null,              // { results, upToDate } after 's' (sync behind repos)
+    operationLogView: null,              // { records, failuresOnly, selectedIndex } - 'e' key
+    // Repo detail screen ('g' key in main menu and Remote Status)
+    repoDetail: null,                    // { path, name, entry, loading, data, selectedIndex (branch), status }
+    remoteStatusProgress: null,          // { done, total } while loading/fetching rows
     remoteStatusMessage: null,           // status message to display
     remoteStatusLastFetch: cache.remoteStatus.lastFetch,  // timestamp from cache
     remoteStatusCache: cache.remoteStatus.data || {},     // cached remote status by path
     // Remote changed files state (for R screen)
-    remoteChangedFiles: null,           // array of { status, file }
+    remoteChangedFiles: null,           // array of { status, file, from }
     remoteChangedFilesPath: null,       // path of repo showing changed files
     showRemoteChangedFiles: false,      // toggle state
     // First-run prompt state
     firstRunPrompt: false,
   };
 
-  // Set up input
-  readline.emitKeypressEvents(process.stdin);
-  if (process.stdin.isTTY) {
-    process.stdin.setRawMode(true);
+  // Set up input
+  readline.emitKeypressEvents(process.stdin);
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+  }
+
+  // Check for first-run shortcut prompt
+  const showShortcutPrompt = LAUNCHER_SCRIPT && !desktopShortcutExists() && !config.shortcutPromptShown;
+
+  // Initial render
+  render(state);
+
+  // First-run shortcut prompt
+  if (showShortcutPrompt) {
+    state.firstRunPrompt = true;
+    renderFirstRunPrompt(state);
+  }
+
+  // Helper to launch entry; Claude launches with skip-permissions ask y/n first
+  function requestLaunch(entry, detached = false, mode = state.mode, startupMode = state.claudeStartupMode) {
+    if (skipsPermissions(entry, mode, state.customModes)) {
+      state.skipPermissionsConfirm = { entries: [entry], detached, mode, startupMode };
+      render(state);
+      return;
+    }
+    performLaunch(entry, detached, mode, startupMode);
+  }
+
+  // Helper to launch all marked entries in new windows (one confirmation for the batch)
+  function requestBatchLaunch() {
+    const markedEntries = [...collectAllEntries(state.entries), ...collectWorktreeEntries(state.entries, state.worktreesByRepo)]
+      .filter(e => state.markedPaths.has(e.path) && isLaunchable(e));
+    if (markedEntries.length === 0) return;
+    if (markedEntries.some(e => skipsPermissions(e, state.mode, state.customModes))) {
+      state.skipPermissionsConfirm = { entries: markedEntries, detached: true, batch: true };
+      render(state);
+      return;
+    }
+    performBatchLaunch(markedEntries);
+  }
+
+  function performBatchLaunch(entries) {
+    state.batchLaunchResults = entries.map(entry => ({
+      entry,
+      ...launch(entry, state.mode, state.claudeStartupMode, state.ides, true),
+    }));
+    // Failed entries stay marked for a retry
+    for (const { entry, success } of state.batchLaunchResults) {
+      if (success) state.markedPaths.delete(entry.path);
+    }
+    render(state);
+  }
+
+  function performLaunch(entry, detached, mode = state.mode, startupMode = state.claudeStartupMode) {
+    if (!detached) {
+      if (process.stdin.isTTY) process.stdin.setRawMode(false);
+      state.launched = launch(entry, mode, startupMode, state.ides) && takesOverTerminal(mode, state.customModes);
+      if (state.launched) stopAutoRefresh();
+      return;
+    }
+    const result = launch(entry, mode, startupMode, state.ides, true);
+    state.lastLaunchMessage = result.success
+      ? `${result.message}: ${entry.name}`
+      : `Error: ${result.message}`;
+    render(state);
+    setTimeout(() => {
+      state.lastLaunchMessage = null;
+      render(state);
+    }, 2500);
+  }
+
+  // Helper to refresh flattened entries and other managed repos
+  function refreshFlattenedEntries() {
+    const managedRepos = getManagedRepos(state.allRepos, state.unmanagedPaths);
+    state.otherManagedRepos = getOtherManagedRepos(managedRepos, state.entries);
+
+    // Rebuild flattened entries
+    state.worktreesByRepo = groupWorktrees(state.allRepos);
+    state.missingItems = findMissingRepos(state.entries, state.allRepos, state.vanishedRepos, state.unmanagedPaths);
+    state.flattenedEntries = flattenMenuEntries(state.entries, 0, null, state.worktreesByRepo);
+    if (state.otherManagedRepos.length > 0) {
+      state.flattenedEntries.push({
+        entry: createOtherManagedEntry(state.otherManagedRepos.length),
+        depth: 0,
+        parent: null,
+        indexInParent: -1,
+      });
+    }
+
+    // Clamp selection index
+    if (state.selectedIndex >= state.flattenedEntries.length) {
+      state.selectedIndex = Math.max(0, state.flattenedEntries.length - 1);
+    }
+    syncRepoWatchers();
+  }
+
+  // Helper to save config
+  function saveConfig() {
+    const configPaths = getConfigPaths();
+    updateJson(configPaths.config, existingConfig => ({
+      ...existingConfig,
+      unmanagedPaths: state.unmanagedPaths,
+      entries: state.entries,
+    }));
+  }
+
+  // Re-read a Remote Status row from git and update the cache
+  async function refreshRemoteRow(row) {
+    await ownGitActivity(row.path, () => refreshRemoteStatusRow(row));
+    state.remoteStatusCache[row.path] = {
+      branch: row.branch,
+      ahead: row.ahead,
+      behind: row.behind,
+      refreshedAt: Date.now(),
+    };
+  }
+
+  // Show what each push sends, then ask y/n
+  async function confirmPush(plans) {
+    await Promise.all(plans.map(async plan => {
+      plan.commits = await getOutgoingCommits(plan.row.path, !plan.setUpstream);
+    }));
+    state.remotePushConfirm = { plans };
+    render(state);
+  }
+
+  // Push confirmed plans one by one; each row is re-read from git afterwards
+  async function pushRemoteRows(plans) {
+    state.remoteStatusPushing = true;
+    state.remoteStatusMessage = null;
+    state.remoteStatusProgress = { done: 0, total: plans.length };
+    render(state);
+
+    const errors = [];
+    for (const { row, setUpstream } of plans) {
+      const result = await gitPush(row.path, setUpstream);
+      if (!result.success) errors.push(formatOperationMessage(row, result));
+      await refreshRemoteRow(row);
+      state.remoteStatusProgress = { done: state.remoteStatusProgress.done + 1, total: plans.length };
+      if (state.remoteStatusMode) render(state);
+    }
+
+    state.remoteStatusPushing = false;
+    state.remoteStatusProgress = null;
+    saveCache(state);
+    const pushedCount = plans.length - errors.length;
+    if (errors.length > 0) {
+      state.remoteStatusMessage = `Pushed ${pushedCount}/${plans.length}. Errors: ${errors.length} - ${errors[0]}`;
+    } else {
+      for (const { row } of plans) state.remoteStatusMarked.delete(row.path);
+      state.remoteStatusMessage = `Pushed ${pushedCount} repo${pushedCount > 1 ? 's' : ''} successfully`;
+    }
+    if (state.remoteStatusMode) render(state);
+  }
+
+  // Fetch rows, fast-forward the clean ones behind their upstream, then show a summary
+  async function syncBehindRows(rows) {
+    state.remoteStatusSyncing = true;
+    state.remoteStatusFetching = true;
+    state.remoteStatusMessage = null;
+    const fetchRows = rows.filter(r => !r.missing && r.submodule?.state !== 'uninitialized');
+    state.remoteStatusProgress = { done: 0, total: fetchRows.length };
+    render(state);
+    await runPool(fetchRows, async row => {
+      row.fetchResult = await gitFetch(row.path);
+      await refreshRemoteRow(row);
+    }, state.gitConcurrency, (done, total) => {
+      state.remoteStatusProgress = { done, total };
+      if (state.remoteStatusMode) render(state);
+    });
+    state.remoteStatusFetching = false;
+    state.remoteStatusLastFetch = Date.now();
+
+    state.remoteStatusProgress = null;
+
+    // Without a fetch the ahead/behind counts are stale - report the fetch, do not judge the row
+    const fetchFailed = fetchRows.filter(r => !r.fetchResult.success);
+    const missingRows = rows.filter(r => r.missing);
+    const results = [
+      ...missingRows.map(row => ({ row, outcome: 'skipped', detail: getSyncBlocker(row) })),
+      ...fetchFailed.map(row => ({ row, outcome: 'failed', detail: `fetch: ${describeFailure(row.fetchResult)}` })),
+    ];
+    const behindRows = rows.filter(r => r.behind > 0 && !fetchFailed.includes(r));
+    for (const [i, row] of behindRows.entries()) {
+      state.remoteStatusMessage = `Fast-forwarding ${row.name}...${formatProgress({ done: i + 1, total: behindRows.length })}`;
+      if (state.remoteStatusMode) render(state);
+
+      const blocker = getSyncBlocker(row);
+      if (blocker) {
+        results.push({ row, outcome: 'skipped', detail: blocker });
+        continue;
+      }
+      const behind = row.behind;
+      const result = await gitPullFastForward(row.path);
+      await refreshRemoteRow(row);
+      results.push(result.success
+        ? { row, outcome: 'updated', detail: `${behind} commit${behind > 1 ? 's' : ''} from ${row.upstream}` }
+        : { row, outcome: 'failed', detail: describeFailure(result) });
+    }
+
+    state.remoteStatusMessage = null;
+    saveCache(state);
+    state.remoteSyncReport = { results, upToDate: rows.length - behindRows.length - fetchFailed.length - missingRows.length };
+    state.remoteStatusSyncing = false;
+    if (state.remoteStatusMode) render(state);
+  }
+
+  // Scan diff stats of all entries (not just visible ones) and their worktrees
+  async function runDiffScan() {
+    if (state.scanning) return;
+    const allEntries = [...collectAllEntries(state.entries), ...collectWorktreeEntries(state.entries, state.worktreesByRepo)];
+    state.scanning = true;
+    state.scanProgress = { done: 0, total: allEntries.length };
+    state.diffs = {};
+    state.diffsRefreshedAt = {};
+    render(state);
+    // The scan's git status calls rewrite .git/index - not activity for the watchers
+    allEntries.forEach(entry => beginOwnGit(entry.path));
+    // Rows fill in as each repo completes
+    state.diffs = await scanAllDiffs(allEntries, state.gitConcurrency, (done, total, entry, stats) => {
+      endOwnGit(entry.path);
+      if (stats) state.diffs[entry.path] = stats;
+      state.scanProgress = { done, total };
+      render(state);
+    });
+    // Compute aggregate stats for groups
+    computeGroupStats(state.entries, state.diffs);
+    // Save to cache with timestamp
+    state.diffsLastScan = Date.now();
+    saveCache(state);
+    state.scanning = false;
+    state.scanProgress = null;
+    render(state);
+  }
+
+  // Background refresh (config.autoRefresh): file watchers per repo and a fetch timer
+  const autoRefresh = {
+    active: false,
+    watchers: new Map(),     // repo path -> close function
+    pending: new Set(),      // repo paths with file activity since the last rescan
+    ownGit: new Map(),       // repo path -> our git commands running on it
+    ignoreUntil: new Map(),  // repo path -> time until which its events are from our own git commands
+    debounceTimer: null,
+    fetchTimer: null,
+  };
+
+  function startAutoRefresh() {
+    const settings = state.autoRefresh;
+    autoRefresh.active = true;
+    syncRepoWatchers();
+    if (settings.fetchEvery > 0) {
+      autoRefresh.fetchTimer = setInterval(backgroundFetch, settings.fetchEvery * 60000);
+      autoRefresh.fetchTimer.unref();
+    }
+    if (settings.scanOnStartAfter > 0 && isStale(state.diffsLastScan, settings.scanOnStartAfter)) {
+      runDiffScan();
+    }
+  }
+
+  function stopAutoRefresh() {
+    autoRefresh.active = false;
+    clearInterval(autoRefresh.fetchTimer);
+    clearTimeout(autoRefresh.debounceTimer);
+    for (const close of autoRefresh.watchers.values()) close();
+    autoRefresh.watchers.clear();
+    autoRefresh.pending.clear();
+  }
+
+  // Watch exactly the repos of the current entries and their worktrees
+  function syncRepoWatchers() {
+    if (!autoRefresh.active || !state.autoRefresh.watch) return;
+    const repoPaths = new Set([...collectAllEntries(state.entries), ...collectWorktreeEntries(state.entries, state.worktreesByRepo)]
+      .map(e => e.path)
+      .filter(p => p && fs.existsSync(path.join(WORKSPACE_ROOT, p, '.git'))));
+    for (const [repoPath, close] of autoRefresh.watchers) {
+      if (repoPaths.has(repoPath)) continue;
+      close();
+      autoRefresh.watchers.delete(repoPath);
+    }
+    for (const repoPath of repoPaths) {
+      if (autoRefresh.watchers.has(repoPath)) continue;
+      const close = watchRepo(repoPath, onRepoActivity);
+      if (close) autoRefresh.watchers.set(repoPath, close);
+    }
+  }
+
+  // Our own git status/diff calls refresh .git/index; their events (also those arriving
+  // shortly after the command) are ignored, so a rescan never triggers the next one
+  function beginOwnGit(repoPath) {
+    autoRefresh.ownGit.set(repoPath, (autoRefresh.ownGit.get(repoPath) || 0) + 1);
   }
 
-  // Check for first-run shortcut prompt
-  const showShortcutPrompt = LAUNCHER_SCRIPT && !desktopShortcutExists() && !config.shortcutPromptShown;
+  function endOwnGit(repoPath) {
+    const running = (autoRefresh.ownGit.get(repoPath) || 1) - 1;
+    if (running > 0) {
+      autoRefresh.ownGit.set(repoPath, running);
+    } else {
+      autoRefresh.ownGit.delete(repoPath);
+    }
+    autoRefresh.ignoreUntil.set(repoPath, Date.now() + WATCH_DEBOUNCE_MS);
+  }
 
-  // Initial render
-  render(state);
+  async function ownGitActivity(repoPath, fn) {
+    beginOwnGit(repoPath);
+    try {
+      return await fn();
+    } finally {
+      endOwnGit(repoPath);
+    }
+  }
 
-  // First-run shortcut prompt
-  if (showShortcutPrompt) {
-    state.firstRunPrompt = true;
-    renderFirstRunPrompt(state);
+  function onRepoActivity(repoPath) {
+    if (autoRefresh.ownGit.has(repoPath) || Date.now() < (autoRefresh.ignoreUntil.get(repoPath) || 0)) return;
+    autoRefresh.pending.add(repoPath);
+    clearTimeout(autoRefresh.debounceTimer);
+    autoRefresh.debounceTimer = setTimeout(rescanActiveRepos, WATCH_DEBOUNCE_MS);
   }
 
-  // Helper to refresh flattened entries and other managed repos
-  function refreshFlattenedEntries() {
-    const managedRepos = getManagedRepos(state.allRepos, state.unmanagedPaths);
-    state.otherManagedRepos = getOtherManagedRepos(managedRepos, state.entries);
+  // Rescan repos with file activity; during a full scan keep them pending and retry later,
+  // since the scan may have read a repo before the activity
+  async function rescanActiveRepos() {
+    if (!autoRefresh.active) return;
+    if (state.scanning) {
+      autoRefresh.debounceTimer = setTimeout(rescanActiveRepos, WATCH_DEBOUNCE_MS);
+      return;
+    }
+    const repoPaths = [...autoRefresh.pending];
+    autoRefresh.pending.clear();
+    if (repoPaths.length === 0) return;
+    await runPool(repoPaths, refreshChangedFiles, state.gitConcurrency);
+    // Keep a typed commit message or pending discard on screen untouched
+    if (autoRefresh.active && state.commitPrompt === null && !state.discardConfirm) render(state);
+  }
 
-    // Rebuild flattened entries
-    state.flattenedEntries = flattenEntries(state.entries);
-    if (state.otherManagedRepos.length > 0) {
-      state.flattenedEntries.push({
-        entry: createOtherManagedEntry(state.otherManagedRepos.length),
-        depth: 0,
-        parent: null,
-        indexInParent: -1,
-      });
+  // Periodic fetch of all managed repos (skipped while a fetch or push runs)
+  async function backgroundFetch() {
+    if (!autoRefresh.active || state.remoteStatusFetching || state.remoteStatusPushing || state.remoteStatusSyncing) return;
+    const rows = state.remoteStatusMode
+      ? state.remoteStatusRepos
+      : createRemoteStatusRows(getManagedRepos(state.allRepos, state.unmanagedPaths).map(repo => repo.path));
+    const fetchRows = rows.filter(r => r.submodule?.state !== 'uninitialized' && fs.existsSync(path.join(WORKSPACE_ROOT, r.path, '.git')));
+    state.remoteStatusFetching = true;
+    await runPool(fetchRows, async row => {
+      row.fetchResult = await gitFetch(row.path);
+      await refreshRemoteRow(row);
+    }, state.gitConcurrency);
+    state.remoteStatusFetching = false;
+    state.remoteStatusLastFetch = Date.now();
+    saveCache(state);
+    if (state.remoteStatusMode && autoRefresh.active) render(state);
+  }
+
+  // Re-read diff stats of a repo, and its changed files when the files panel shows it
+  // (after a stage/unstage/discard/commit or watched activity); hides the panel once the repo is clean
+  async function refreshChangedFiles(repoPath) {
+    const [files, stats] = await ownGitActivity(repoPath, () => Promise.all([getChangedFiles(repoPath), getGitStats(repoPath)]));
+    if (stats) {
+      state.diffs[repoPath] = stats;
+    } else {
+      delete state.diffs[repoPath];
     }
+    state.diffsRefreshedAt[repoPath] = Date.now();
+    for (const key of Object.keys(state.diffs)) {
+      if (key.startsWith('__group_')) delete state.diffs[key];
+    }
+    computeGroupStats(state.entries, state.diffs);
+    saveCache(state);
+    if (state.changedFilesPath !== repoPath) return;
+    if (!files) {
+      const status = state.changedFilesStatus;
+      hideChangedFiles(state);
+      if (status) state.lastLaunchMessage = status;
+      return;
+    }
+    state.changedFiles = files;
+    state.changedFilesSelectedIndex = Math.min(state.changedFilesSelectedIndex, files.length - 1);
+  }
 
-    // Clamp selection index
-    if (state.selectedIndex >= state.flattenedEntries.length) {
-      state.selectedIndex = Math.max(0, state.flattenedEntries.length - 1);
+  // Run a stage/unstage/discard/commit on the files panel repo and show its result
+  async function runChangedFilesAction(action) {
+    const repoPath = state.changedFilesPath;
+    const result = await action(repoPath);
+    state.changedFilesStatus = result.success ? result.message : `Error: ${result.message}`;
+    await refreshChangedFiles(repoPath);
+    render(state);
+  }
+
+  // Load the diff of the current file of the diff view (section headers marked with \u0000)
+  async function loadDiffViewFile(view) {
+    const changed = view.files[view.fileIndex];
+    view.loading = true;
+    view.offset = 0;
+    render(state);
+    const sections = await getFileDiff(view.repoPath, changed);
+    if (state.diffView !== view) return;
+    const colors = { Staged: ANSI.green, Unstaged: ANSI.yellow };
+    view.lines = sections.flatMap(({ title, lines }) => [
+      `\u0000${ANSI.bold}${colors[title] || ANSI.cyan}-- ${title} --${ANSI.reset}`,
+      ...lines,
+    ]);
+    view.loading = false;
+    render(state);
+  }
+
+  // Entry to launch for a repo path: configured entry or worktree, else a plain repo entry
+  function findLaunchEntry(repoPath) {
+    const known = [...collectAllEntries(state.entries), ...collectWorktreeEntries(state.entries, state.worktreesByRepo)]
+      .find(e => e.path === repoPath);
+    return known || { type: 'repo', path: repoPath, name: repoPath, ide: state.ides[0]?.name || 'WebStorm' };
+  }
+
+  // Open the repo detail screen (history and branches), loading it in the background
+  async function openRepoDetail(repoPath) {
+    if (!fs.existsSync(path.join(WORKSPACE_ROOT, repoPath, '.git'))) return;
+    const entry = findLaunchEntry(repoPath);
+    const detail = { path: repoPath, name: entry.name, entry, loading: true, data: null, selectedIndex: null, status: null };
+    state.repoDetail = detail;
+    render(state);
+    await reloadRepoDetail(detail);
+  }
+
+  async function reloadRepoDetail(detail) {
+    detail.data = await getRepoDetail(detail.path);
+    detail.loading = false;
+    // Start on the current branch
+    if (detail.selectedIndex === null || detail.selectedIndex >= detail.data.branches.length) {
+      detail.selectedIndex = Math.max(0, detail.data.branches.findIndex(b => b.current));
     }
+    if (state.repoDetail === detail) render(state);
   }
 
-  // Helper to save config
-  function saveConfig() {
-    const configPaths = getConfigPaths();
-    const existingConfig = loadJson(configPaths.config, {});
-    existingConfig.unmanagedPaths = state.unmanagedPaths;
-    existingConfig.entries = state.entries;
-    saveJson(configPaths.config, existingConfig);
+  // Check out the selected branch on the detail screen (no-op when current)
+  // Returns true when the branch is checked out afterwards
+  async function checkoutDetailBranch(detail) {
+    const branch = detail.data?.branches[detail.selectedIndex];
+    if (!branch) return false;
+    if (branch.current) return true;
+    detail.status = `Checking out ${branch.name}...`;
+    render(state);
+    const result = await gitCheckout(detail.path, branch.name);
+    detail.status = result.success ? result.message : `Error: ${result.message}`;
+    const row = state.remoteStatusRepos.find(r => r.path === detail.path);
+    if (row) await refreshRemoteRow(row);
+    await reloadRepoDetail(detail);
+    detail.selectedIndex = detail.data.branches.findIndex(b => b.name === branch.name);
+    if (state.repoDetail === detail) render(state);
+    return result.success;
+  }
+
+  // Run one Remote Status row action; the row is re-read from git afterwards
+  async function runRemoteRowAction(row, actionId) {
+    if (actionId === 'push') {
+      const plan = planPush(row);
+      if (plan) {
+        await confirmPush([plan]);
+      } else {
+        state.remoteStatusMessage = `${row.name}: nothing to push`;
+        render(state);
+      }
+      return;
+    }
+
+    const labels = { fetch: 'Fetching', pull: 'Pulling' };
+    state.remoteStatusMessage = `${labels[actionId]} ${row.name}...`;
+    row.loading = true;
+    render(state);
+
+    const result = actionId === 'fetch' ? await gitFetch(row.path) : await gitPullFastForward(row.path);
+    if (actionId === 'fetch') row.fetchResult = result;
+    await refreshRemoteRow(row);
+    saveCache(state);
+
+    state.remoteStatusMessage = formatOperationMessage(row, result);
+    if (state.remoteStatusMode) render(state);
   }
 
   // Handle keypresses
@@ -1908,18 +5685,12 @@ automatically provide the correct paths from your workspace root.
           setTimeout(() => render(state), 2000);
         }
         // Mark as shown
-        const configPaths = getConfigPaths();
-        const existingConfig = loadJson(configPaths.config, {});
-        existingConfig.shortcutPromptShown = true;
-        saveJson(configPaths.config, existingConfig);
+        updateJson(getConfigPaths().config, existingConfig => ({ ...existingConfig, shortcutPromptShown: true }));
       } else if (str === 'n' || str === 'N' || key.name === 'escape') {
         // Skip shortcut
         state.firstRunPrompt = false;
         // Mark as shown
-        const configPaths = getConfigPaths();
-        const existingConfig = loadJson(configPaths.config, {});
-        existingConfig.shortcutPromptShown = true;
-        saveJson(configPaths.config, existingConfig);
+        updateJson(getConfigPaths().config, existingConfig => ({ ...existingConfig, shortcutPromptShown: true }));
         render(state);
       }
       return;
@@ -2013,8 +5784,7 @@ automatically provide the correct paths from your workspace root.
               name: selectedRepo.path,
               ide: state.ides[0]?.name || 'WebStorm',
             };
-            if (process.stdin.isTTY) process.stdin.setRawMode(false);
-            launch(entry, state.mode, state.claudeStartupMode, state.ides);
+            performLaunch(entry, false);
           }
           break;
 
@@ -2152,6 +5922,90 @@ automatically provide the correct paths from your workspace root.
       return;
     }
 
+    // Skip-permissions launch confirmation (y/n)
+    if (state.skipPermissionsConfirm) {
+      const { entries, detached, batch, mode, startupMode } = state.skipPermissionsConfirm;
+      if (str === 'y' || str === 'Y') {
+        state.skipPermissionsConfirm = null;
+        if (batch) {
+          performBatchLaunch(entries);
+        } else {
+          performLaunch(entries[0], detached, mode, startupMode);
+        }
+      } else if (str === 'n' || str === 'N' || key.name === 'escape') {
+        state.skipPermissionsConfirm = null;
+        render(state);
+      }
+      return;
+    }
+
+    // Claude options editor keys (changes are saved with the entries editor)
+    if (state.claudeOptionsMode) {
+      const field = CLAUDE_OPTION_FIELDS[state.claudeOptionsSelectedIndex];
+      const entry = state.claudeOptionsEntry;
+
+      if (state.claudeOptionsEditing) {
+        if (key.name === 'return') {
+          const text = state.claudeOptionsBuffer.trim();
+          let value = text || null;
+          if (field.kind === 'list') value = text.split(',').map(s => s.trim()).filter(Boolean);
+          if (field.kind === 'args') value = splitArgs(text);
+          setClaudeOption(entry, field.key, value);
+          state.claudeOptionsEditing = null;
+          render(state);
+        } else if (key.name === 'escape') {
+          state.claudeOptionsEditing = null;
+          render(state);
+        } else if (key.name === 'backspace') {
+          state.claudeOptionsBuffer = state.claudeOptionsBuffer.slice(0, -1);
+          render(state);
+        } else if (str && str.length === 1 && !key.ctrl && !key.meta) {
+          state.claudeOptionsBuffer += str;
+          render(state);
+        }
+        return;
+      }
+
+      switch (key.name) {
+        case 'up':
+          state.claudeOptionsSelectedIndex = Math.max(0, state.claudeOptionsSelectedIndex - 1);
+          render(state);
+          break;
+
+        case 'down':
+          state.claudeOptionsSelectedIndex = Math.min(CLAUDE_OPTION_FIELDS.length - 1, state.claudeOptionsSelectedIndex + 1);
+          render(state);
+          break;
+
+        case 'return':
+        case 'space': {
+          const options = getClaudeOptions(entry);
+          if (field.kind === 'toggle') {
+            setClaudeOption(entry, field.key, !options[field.key]);
+          } else if (field.kind === 'cycle') {
+            const idx = CLAUDE_SESSION_MODES.indexOf(options[field.key]);
+            setClaudeOption(entry, field.key, CLAUDE_SESSION_MODES[(idx + 1) % CLAUDE_SESSION_MODES.length]);
+          } else {
+            const value = options[field.key];
+            state.claudeOptionsBuffer = field.kind === 'list' ? value.join(', ')
+              : field.kind === 'args' ? formatCommandLine('', value, shQuote).trim()
+                : (value || '');
+            state.claudeOptionsEditing = field.kind;
+          }
+          render(state);
+          break;
+        }
+
+        case 'escape':
+        case 'q':
+          state.claudeOptionsMode = false;
+          state.claudeOptionsEntry = null;
+          render(state);
+          break;
+      }
+      return;
+    }
+
     // Edit name mode keys
     if (state.editNameMode) {
       if (key.name === 'return') {
@@ -2189,7 +6043,7 @@ automatically provide the correct paths from your workspace root.
           break;
 
         case 'down':
-          state.configSelectedIndex = Math.min(5, state.configSelectedIndex + 1);
+          state.configSelectedIndex = Math.min(6, state.configSelectedIndex + 1);
           render(state);
           break;
 
@@ -2212,16 +6066,13 @@ automatically provide the correct paths from your workspace root.
             // Scan for repositories
             state.configStatus = 'Scanning...';
             render(state);
-            const repos = scanForRepos();
-            saveRepos(repos);
+            const { repos, vanished, report } = runRepoScan();
             state.allRepos = repos;
+            state.vanishedRepos = vanished;
             refreshFlattenedEntries();
-            state.configStatus = `Found ${repos.length} repositories`;
+            state.configStatus = formatScanSummary(repos, report);
+            state.scanReport = report;
             render(state);
-            setTimeout(() => {
-              state.configStatus = null;
-              render(state);
-            }, 2000);
           } else if (state.configSelectedIndex === 3) {
             // Create desktop shortcut
             if (!LAUNCHER_SCRIPT) {
@@ -2267,6 +6118,25 @@ automatically provide the correct paths from your workspace root.
               state.configStatus = null;
               render(state);
             }, 2000);
+          } else if (state.configSelectedIndex === 6) {
+            // Re-detect IDEs - merge into config, keeping user edits
+            state.configStatus = 'Detecting IDEs...';
+            render(state);
+            const detectedIdes = detectIDEs();
+            let added = 0;
+            const { ides: mergedIdes } = updateJson(getConfigPaths().config, existingConfig => {
+              const merged = mergeDetectedIDEs(existingConfig.ides || [], detectedIdes);
+              added = merged.added;
+              return { ...existingConfig, ides: merged.ides };
+            });
+            config.ides = mergedIdes;
+            state.ides = mergedIdes;
+            state.configStatus = `Detected ${detectedIdes.length} IDEs, added ${added} new`;
+            render(state);
+            setTimeout(() => {
+              state.configStatus = null;
+              render(state);
+            }, 2000);
           }
           break;
 
@@ -2275,6 +6145,7 @@ automatically provide the correct paths from your workspace root.
           state.configMode = false;
           state.configSelectedIndex = 0;
           state.configStatus = null;
+          state.scanReport = null;
           render(state);
           break;
 
@@ -2297,6 +6168,9 @@ automatically provide the correct paths from your workspace root.
           } else if (str === '6') {
             state.configSelectedIndex = 5;
             render(state);
+          } else if (str === '7') {
+            state.configSelectedIndex = 6;
+            render(state);
           }
       }
       return;
@@ -2407,6 +6281,130 @@ automatically provide the correct paths from your workspace root.
     }
 
     // Remote status mode keys
+    // Push confirmation keys (lists what each push sends)
+    if (state.remotePushConfirm) {
+      if (str === 'y' || str === 'Y' || key.name === 'return') {
+        const { plans } = state.remotePushConfirm;
+        state.remotePushConfirm = null;
+        await pushRemoteRows(plans);
+      } else if (str === 'n' || str === 'N' || key.name === 'escape') {
+        state.remotePushConfirm = null;
+        render(state);
+      }
+      return;
+    }
+
+    // Diff viewer keys
+    if (state.diffView) {
+      const view = state.diffView;
+      const pageSize = getDiffPageSize();
+      const maxOffset = Math.max(0, view.lines.length - pageSize);
+      const scrollTo = offset => {
+        view.offset = Math.max(0, Math.min(maxOffset, offset));
+        render(state);
+      };
+      if (key.name === 'escape' || str === 'q') {
+        state.diffView = null;
+        render(state);
+      } else if (key.name === 'up') {
+        scrollTo(view.offset - 1);
+      } else if (key.name === 'down') {
+        scrollTo(view.offset + 1);
+      } else if (key.name === 'pageup') {
+        scrollTo(view.offset - pageSize);
+      } else if (key.name === 'pagedown' || key.name === 'space') {
+        scrollTo(view.offset + pageSize);
+      } else if (key.name === 'home') {
+        scrollTo(0);
+      } else if (key.name === 'end') {
+        scrollTo(maxOffset);
+      } else if ((str === 'n' || str === 'p') && view.files.length > 1) {
+        const delta = str === 'n' ? 1 : view.files.length - 1;
+        view.fileIndex = (view.fileIndex + delta) % view.files.length;
+        view.status = null;
+        state.changedFilesSelectedIndex = view.fileIndex;
+        await loadDiffViewFile(view);
+      } else if (str === 'o') {
+        const result = openFileInIde(view.entry, view.files[view.fileIndex], state.ides);
+        view.status = result.success ? result.message : `Error: ${result.message}`;
+        render(state);
+      }
+      return;
+    }
+
+    // Repo detail keys
+    if (state.repoDetail) {
+      const detail = state.repoDetail;
+      const branchCount = detail.data ? detail.data.branches.length : 0;
+      if (key.name === 'escape' || str === 'q') {
+        state.repoDetail = null;
+        render(state);
+      } else if (detail.loading) {
+        return;
+      } else if (key.name === 'up' || key.name === 'down') {
+        const delta = key.name === 'up' ? -1 : 1;
+        detail.selectedIndex = Math.max(0, Math.min(branchCount - 1, detail.selectedIndex + delta));
+        render(state);
+      } else if (str === 'o') {
+        await checkoutDetailBranch(detail);
+      } else if (key.name === 'return') {
+        // Claude modes keep the current mode (and its options), otherwise plain Claude
+        if (!(await checkoutDetailBranch(detail))) return;
+        const mode = isClaudeMode(state.mode, state.customModes, detail.entry) ? state.mode : 'Claude';
+        state.repoDetail = null;
+        requestLaunch(detail.entry, false, mode);
+      }
+      return;
+    }
+
+    // Sync summary keys
+    if (state.remoteSyncReport) {
+      if (key.name === 'return' || key.name === 'escape' || str === 'q') {
+        state.remoteSyncReport = null;
+        render(state);
+      }
+      return;
+    }
+
+    // Operation log keys
+    if (state.operationLogView) {
+      const view = state.operationLogView;
+      const count = getVisibleOperations(view).length;
+      if (key.name === 'escape' || str === 'q') {
+        state.operationLogView = null;
+        render(state);
+      } else if (key.name === 'up' || key.name === 'down') {
+        const delta = key.name === 'up' ? -1 : 1;
+        view.selectedIndex = Math.max(0, Math.min(count - 1, view.selectedIndex + delta));
+        render(state);
+      } else if (str === 'a') {
+        view.failuresOnly = !view.failuresOnly;
+        view.selectedIndex = 0;
+        render(state);
+      }
+      return;
+    }
+
+    // Remote row action menu keys (Enter on a row)
+    if (state.remoteStatusMode && state.remoteActionMenu) {
+      const menu = state.remoteActionMenu;
+      const action = key.name === 'return'
+        ? menu.actions[menu.selectedIndex]
+        : menu.actions.find(a => a.key === str);
+      if (key.name === 'escape' || str === 'q') {
+        state.remoteActionMenu = null;
+        render(state);
+      } else if (key.name === 'up' || key.name === 'down') {
+        const delta = key.name === 'up' ? -1 : 1;
+        menu.selectedIndex = Math.max(0, Math.min(menu.actions.length - 1, menu.selectedIndex + delta));
+        render(state);
+      } else if (action) {
+        state.remoteActionMenu = null;
+        await runRemoteRowAction(menu.row, action.id);
+      }
+      return;
+    }
+
     if (state.remoteStatusMode) {
       switch (key.name) {
         case 'up':
@@ -2426,6 +6424,7 @@ automatically provide the correct paths from your workspace root.
           state.remoteStatusSelectedIndex = 0;
           state.remoteStatusRepos = [];
           state.remoteStatusMessage = null;
+          state.remoteStatusMarked.clear();
           hideRemoteChangedFiles(state);
           render(state);
           break;
@@ -2434,62 +6433,111 @@ automatically provide the correct paths from your workspace root.
           // Toggle changed files display for selected repo
           const selectedRepo = state.remoteStatusRepos[state.remoteStatusSelectedIndex];
           if (selectedRepo) {
-            toggleRemoteChangedFiles(state, selectedRepo.path);
+            await toggleRemoteChangedFiles(state, selectedRepo.path);
             render(state);
           }
           break;
 
+        case 'return': {
+          // Per-row actions: fetch, pull --ff-only, push (setting upstream for new branches)
+          if (state.remoteStatusFetching || state.remoteStatusPushing || state.remoteStatusSyncing) break;
+          const row = state.remoteStatusRepos[state.remoteStatusSelectedIndex];
+          const actions = row ? getRemoteRowActions(row) : [];
+          if (actions.length === 0) {
+            if (row && !row.loading) {
+              state.remoteStatusMessage = `${row.name}: no remote actions (${row.branch ? 'no remote' : 'not checked out'})`;
+              render(state);
+            }
+            break;
+          }
+          state.remoteActionMenu = { row, actions, selectedIndex: 0 };
+          render(state);
+          break;
+        }
+
         default:
-          if (str === 'f') {
-            // Fetch all repos
+          if (str === 'm') {
+            // Mark rows for bulk fetch/push
+            const row = state.remoteStatusRepos[state.remoteStatusSelectedIndex];
+            if (!row) return;
+            if (state.remoteStatusMarked.has(row.path)) {
+              state.remoteStatusMarked.delete(row.path);
+            } else {
+              state.remoteStatusMarked.add(row.path);
+            }
+            render(state);
+          } else if (str === 'f') {
+            if (state.remoteStatusFetching || state.remoteStatusPushing || state.remoteStatusSyncing) return;
+            // Fetch marked (else all) repos in parallel, refreshing each row as its fetch completes
+            const marked = state.remoteStatusRepos.filter(r => state.remoteStatusMarked.has(r.path));
+            const rows = (marked.length > 0 ? marked : state.remoteStatusRepos)
+              .filter(r => !r.missing && r.submodule?.state !== 'uninitialized');
             state.remoteStatusFetching = true;
             state.remoteStatusMessage = null;
+            state.remoteStatusProgress = { done: 0, total: rows.length };
             render(state);
 
-            // Fetch each repo sequentially
             let fetchedCount = 0;
-            for (const repo of state.remoteStatusRepos) {
-              const success = gitFetch(repo.path);
-              if (success) fetchedCount++;
-            }
-
-            // Refresh status after fetch and update cache
-            for (const repo of state.remoteStatusRepos) {
-              const status = getRemoteStatus(repo.path);
-              if (status) {
-                repo.branch = status.branch;
-                repo.ahead = status.ahead;
-                repo.behind = status.behind;
-              }
-              // Refresh changes too
-              const stats = getGitStats(repo.path);
-              repo.changes = stats;
-              // Refresh vsMain status
-              repo.vsMain = getStatusVsMain(repo.path, repo.branch, repo.defaultBranch);
-              // Update cache
-              state.remoteStatusCache[repo.path] = {
-                branch: repo.branch,
-                ahead: repo.ahead,
-                behind: repo.behind,
-              };
-            }
+            await runPool(rows, async repo => {
+              repo.fetchResult = await gitFetch(repo.path);
+              if (repo.fetchResult.success) fetchedCount++;
+              await refreshRemoteRow(repo);
+            }, state.gitConcurrency, (done, total) => {
+              state.remoteStatusProgress = { done, total };
+              if (state.remoteStatusMode) render(state);
+            });
 
             state.remoteStatusFetching = false;
+            state.remoteStatusProgress = null;
             state.remoteStatusLastFetch = Date.now();
             saveCache(state);
-            state.remoteStatusMessage = `Fetched ${fetchedCount}/${state.remoteStatusRepos.length} repos`;
-            render(state);
+            state.remoteStatusMessage = `Fetched ${fetchedCount}/${rows.length} repos${fetchedCount < rows.length ? ' (e: error log)' : ''}`;
+            if (state.remoteStatusMode) render(state);
 
             // Clear message after delay
             setTimeout(() => {
               state.remoteStatusMessage = null;
               if (state.remoteStatusMode) render(state);
             }, 2000);
+          } else if (str === 'u') {
+            // Update the selected submodule, or all submodules of the selected repo
+            const repo = state.remoteStatusRepos[state.remoteStatusSelectedIndex];
+            if (!repo || state.remoteStatusFetching || state.remoteStatusSyncing) return;
+            const parentPath = repo.submoduleOf || repo.path;
+            const targets = state.remoteStatusRepos.filter(r => (repo.submoduleOf ? r === repo : r.submoduleOf === repo.path));
+            if (targets.length === 0) return;
+
+            state.remoteStatusMessage = `Updating submodules in ${parentPath}...`;
+            render(state);
+            const result = await gitSubmoduleUpdate(parentPath, repo.submoduleOf ? repo.name : null);
+            await runPool([...targets, state.remoteStatusRepos.find(r => r.path === parentPath)].filter(Boolean),
+              refreshRemoteStatusRow, state.gitConcurrency);
+            state.remoteStatusMessage = result.success
+              ? `Updated ${targets.length} submodule${targets.length > 1 ? 's' : ''} in ${parentPath}`
+              : formatOperationMessage({ name: parentPath }, result);
+            if (state.remoteStatusMode) render(state);
+          } else if (str === 'g') {
+            // History and branches of the selected repo
+            const row = state.remoteStatusRepos[state.remoteStatusSelectedIndex];
+            if (row && !row.loading) await openRepoDetail(row.path);
+          } else if (str === 'e') {
+            // Browse logged fetch/pull/push failures (this and earlier sessions)
+            state.operationLogView = { records: loadOperationLog(), failuresOnly: true, selectedIndex: 0 };
+            render(state);
+          } else if (str === 's') {
+            if (state.remoteStatusFetching || state.remoteStatusPushing || state.remoteStatusSyncing) return;
+            // Fetch, then fast-forward clean repos behind their upstream (marked, else all)
+            const marked = state.remoteStatusRepos.filter(r => state.remoteStatusMarked.has(r.path));
+            await syncBehindRows(marked.length > 0 ? marked : state.remoteStatusRepos);
           } else if (str === 'p') {
-            // Push all repos that have commits ahead
-            const reposToPush = state.remoteStatusRepos.filter(r => r.ahead > 0);
-            if (reposToPush.length === 0) {
-              state.remoteStatusMessage = 'No repos with commits to push';
+            if (state.remoteStatusFetching || state.remoteStatusPushing || state.remoteStatusSyncing) return;
+            // Push marked repos (new branches included), else all repos ahead of their upstream
+            const marked = state.remoteStatusRepos.filter(r => state.remoteStatusMarked.has(r.path));
+            const plans = marked.length > 0
+              ? marked.map(planPush).filter(Boolean)
+              : state.remoteStatusRepos.filter(r => r.upstream && r.ahead > 0).map(planPush);
+            if (plans.length === 0) {
+              state.remoteStatusMessage = marked.length > 0 ? 'Nothing to push in marked repos' : 'No repos with commits to push';
               render(state);
               setTimeout(() => {
                 state.remoteStatusMessage = null;
@@ -2497,36 +6545,7 @@ automatically provide the correct paths from your workspace root.
               }, 2000);
               return;
             }
-
-            state.remoteStatusPushing = true;
-            state.remoteStatusMessage = null;
-            render(state);
-
-            let pushedCount = 0;
-            const errors = [];
-            for (const repo of reposToPush) {
-              const result = gitPush(repo.path);
-              if (result.success) {
-                pushedCount++;
-                repo.ahead = 0; // Assume push succeeded
-              } else {
-                errors.push(`${repo.name}: ${result.message}`);
-              }
-            }
-
-            state.remoteStatusPushing = false;
-            if (errors.length > 0) {
-              state.remoteStatusMessage = `Pushed ${pushedCount}/${reposToPush.length}. Errors: ${errors.length}`;
-            } else {
-              state.remoteStatusMessage = `Pushed ${pushedCount} repos successfully`;
-            }
-            render(state);
-
-            // Clear message after delay
-            setTimeout(() => {
-              state.remoteStatusMessage = null;
-              if (state.remoteStatusMode) render(state);
-            }, 3000);
+            await confirmPush(plans);
           }
       }
       return;
@@ -2683,6 +6702,23 @@ automatically provide the correct paths from your workspace root.
               currentItem.entry.ide = state.ides[nextIdx].name;
               render(state);
             }
+          } else if (str === 'b' && currentItem) {
+            // Cycle behaviour: open -> hoist -> hidden
+            const behaviourIdx = ENTRY_BEHAVIOURS.indexOf(getEntryBehaviour(currentItem.entry));
+            currentItem.entry.behaviour = ENTRY_BEHAVIOURS[(behaviourIdx + 1) % ENTRY_BEHAVIOURS.length];
+            render(state);
+          } else if (str === 'c' && currentItem && currentItem.entry.path) {
+            // Per-entry Claude options
+            state.claudeOptionsMode = true;
+            state.claudeOptionsEntry = currentItem.entry;
+            state.claudeOptionsSelectedIndex = 0;
+            state.claudeOptionsEditing = null;
+            state.claudeOptionsBuffer = '';
+            render(state);
+          } else if (str === 'o' && currentItem && currentItem.entry.path) {
+            // Toggle openableAsRoot
+            currentItem.entry.openableAsRoot = currentItem.entry.openableAsRoot === false;
+            render(state);
           } else if (str === 'f' && currentItem && currentItem.entry.children && currentItem.entry.children.length > 0) {
             // Flatten group - move children to parent level, remove group
             const entry = currentItem.entry;
@@ -2705,6 +6741,248 @@ automatically provide the correct paths from your workspace root.
       return;
     }
 
+    // New worktree branch prompt ('t' key)
+    if (state.worktreeCreate) {
+      const create = state.worktreeCreate;
+      if (create.busy) return;
+
+      if (key.name === 'escape') {
+        state.worktreeCreate = null;
+        render(state);
+      } else if (key.name === 'return') {
+        const branch = create.buffer.trim();
+        if (!branch) return;
+        create.busy = true;
+        create.status = `Creating worktree for ${branch}...`;
+        render(state);
+
+        const result = await createWorktree(create.repoPath, branch);
+        if (!result.success) {
+          create.busy = false;
+          create.status = `Error: ${result.message}`;
+          render(state);
+          return;
+        }
+
+        // Record it, show it under its repo and select it
+        state.allRepos = addWorktreeRecord(result.worktree);
+        const mainEntry = collectAllEntries(state.entries).find(e => e.path === create.repoPath);
+        if (mainEntry) mainEntry.expanded = true;
+        state.worktreeCreate = null;
+        refreshFlattenedEntries();
+        const rowIdx = state.flattenedEntries.findIndex(item => item.entry.path === result.worktree.path);
+        if (rowIdx !== -1) state.selectedIndex = rowIdx;
+        const worktreeEntry = rowIdx !== -1
+          ? state.flattenedEntries[rowIdx].entry
+          : { type: 'worktree', path: result.worktree.path, name: branch, ide: mainEntry?.ide, worktreeOf: create.repoPath };
+
+        // Claude straight into the new worktree
+        requestLaunch(worktreeEntry, false, isClaudeMode(state.mode, state.customModes, worktreeEntry) ? state.mode : 'Claude');
+      } else if (key.name === 'backspace') {
+        create.buffer = create.buffer.slice(0, -1);
+        render(state);
+      } else if (str && str.length === 1 && !key.ctrl && !key.meta && str > ' ') {
+        create.buffer += str;
+        render(state);
+      }
+      return;
+    }
+
+    // Reconcile screen keys (missing entries and repos)
+    if (state.reconcileMode) {
+      const item = state.missingItems[state.reconcileSelectedIndex];
+
+      // Apply a repos.json change and recompute what is missing
+      const applyRepoRecords = ({ repositories, vanished }) => {
+        state.allRepos = repositories;
+        state.vanishedRepos = vanished;
+        refreshFlattenedEntries();
+        state.reconcileSelectedIndex = Math.max(0, Math.min(state.reconcileSelectedIndex, state.missingItems.length - 1));
+        state.reconcileCandidateIndex = 0;
+      };
+
+      if (key.name === 'escape' || str === 'q') {
+        state.reconcileMode = false;
+        state.reconcileStatus = null;
+        render(state);
+      } else if (key.name === 'up' || key.name === 'down') {
+        const delta = key.name === 'up' ? -1 : 1;
+        state.reconcileSelectedIndex = Math.max(0, Math.min(state.missingItems.length - 1, state.reconcileSelectedIndex + delta));
+        state.reconcileCandidateIndex = 0;
+        render(state);
+      } else if ((key.name === 'left' || key.name === 'right') && item && item.candidates.length > 1) {
+        const count = item.candidates.length;
+        state.reconcileCandidateIndex = (state.reconcileCandidateIndex + (key.name === 'left' ? count - 1 : 1)) % count;
+        render(state);
+      } else if ((str === 'x' || key.name === 'delete') && item) {
+        // Remove the entry (if any) and the repo record
+        if (item.kind === 'entry') {
+          for (const entry of collectAllEntries(state.entries).filter(e => e.path === item.path)) {
+            removeEntry(state.entries, entry);
+          }
+        }
+        state.unmanagedPaths = state.unmanagedPaths.filter(p => p !== item.path);
+        state.markedPaths.delete(item.path);
+        saveConfig();
+        applyRepoRecords(forgetRepoRecord(item.path));
+        state.reconcileStatus = `Removed ${item.path}`;
+        render(state);
+      } else if (key.name === 'return' && item && item.candidates.length > 0) {
+        // Re-point to the repo found with the same remote; the old record is dropped
+        const newPath = item.candidates[state.reconcileCandidateIndex % item.candidates.length];
+        for (const entry of collectAllEntries(state.entries).filter(e => e.path === item.path)) {
+          entry.path = newPath;
+          if (entry.name === item.path) entry.name = newPath;
+        }
+        state.unmanagedPaths = state.unmanagedPaths.filter(p => p !== item.path && p !== newPath);
+        if (state.markedPaths.delete(item.path)) state.markedPaths.add(newPath);
+        saveConfig();
+        applyRepoRecords(forgetRepoRecord(item.path));
+        state.reconcileStatus = `Re-pointed ${item.path} -> ${newPath}`;
+        render(state);
+      } else if (str === 's') {
+        state.reconcileStatus = 'Scanning...';
+        render(state);
+        const { repos, vanished, report } = runRepoScan();
+        applyRepoRecords({ repositories: repos, vanished });
+        state.reconcileStatus = formatScanSummary(repos, report);
+        render(state);
+      }
+      return;
+    }
+
+    // Search mode keys (filter as you type)
+    if (state.searchMode) {
+      const selectedResult = state.searchResults[state.searchSelectedIndex];
+      const visibleCount = Math.min(state.searchResults.length, SEARCH_MAX_RESULTS);
+
+      if (key.name === 'escape') {
+        state.searchMode = false;
+        render(state);
+      } else if (key.name === 'return') {
+        // Top match unless another result was selected
+        if (selectedResult) {
+          state.searchMode = false;
+          requestLaunch(selectedResult.entry);
+        }
+      } else if (key.name === 'up') {
+        state.searchSelectedIndex = Math.max(0, state.searchSelectedIndex - 1);
+        render(state);
+      } else if (key.name === 'down') {
+        state.searchSelectedIndex = Math.max(0, Math.min(visibleCount - 1, state.searchSelectedIndex + 1));
+        render(state);
+      } else if (key.name === 'tab') {
+        const modeIdx = state.modes.indexOf(state.mode);
+        state.mode = state.modes[(modeIdx + 1) % state.modes.length];
+        render(state);
+      } else if (key.name === 'backspace' || (str && str.length === 1 && !key.ctrl && !key.meta && str >= ' ')) {
+        state.searchQuery = key.name === 'backspace' ? state.searchQuery.slice(0, -1) : state.searchQuery + str;
+        state.searchResults = searchCandidates(state.searchQuery, state.searchCandidates);
+        state.searchSelectedIndex = 0;
+        render(state);
+      }
+      return;
+    }
+
+    // Discard confirmation in the changed files list (y/n)
+    if (state.discardConfirm) {
+      const changed = state.discardConfirm;
+      if (str === 'y' || str === 'Y') {
+        state.discardConfirm = null;
+        await runChangedFilesAction(repoPath => gitDiscardFile(repoPath, changed));
+      } else if (str === 'n' || str === 'N' || key.name === 'escape') {
+        state.discardConfirm = null;
+        render(state);
+      }
+      return;
+    }
+
+    // Commit message prompt in the changed files list
+    if (state.commitPrompt !== null) {
+      if (key.name === 'escape') {
+        state.commitPrompt = null;
+        render(state);
+      } else if (key.name === 'return') {
+        const message = state.commitPrompt.trim();
+        if (!message) return;
+        state.commitPrompt = null;
+        state.changedFilesStatus = 'Committing...';
+        render(state);
+        await runChangedFilesAction(repoPath => gitCommit(repoPath, message));
+      } else if (key.name === 'backspace') {
+        state.commitPrompt = state.commitPrompt.slice(0, -1);
+        render(state);
+      } else if (str && str.length === 1 && !key.ctrl && !key.meta && str >= ' ') {
+        state.commitPrompt += str;
+        render(state);
+      }
+      return;
+    }
+
+    // Changed files list keys (Right on shown files)
+    if (state.changedFilesFocus) {
+      const files = state.changedFiles || [];
+      const selectedFile = files[state.changedFilesSelectedIndex];
+      const filesEntry = state.flattenedEntries[state.selectedIndex]?.entry;
+      if (key.name === 'escape' || key.name === 'left') {
+        state.changedFilesFocus = false;
+        state.changedFilesStatus = null;
+        render(state);
+      } else if (key.name === 'up' || key.name === 'down') {
+        const delta = key.name === 'up' ? -1 : 1;
+        state.changedFilesSelectedIndex = Math.max(0, Math.min(files.length - 1, state.changedFilesSelectedIndex + delta));
+        render(state);
+      } else if (key.name === 'return' && selectedFile) {
+        state.diffView = {
+          repoPath: state.changedFilesPath,
+          entry: filesEntry,
+          files,
+          fileIndex: state.changedFilesSelectedIndex,
+          lines: [],
+          offset: 0,
+          loading: true,
+          status: null,
+        };
+        await loadDiffViewFile(state.diffView);
+      } else if (str === 's' && selectedFile) {
+        await runChangedFilesAction(repoPath => gitStageFile(repoPath, selectedFile));
+      } else if (str === 'u' && selectedFile) {
+        if (!isStagedStatus(selectedFile.status)) {
+          state.changedFilesStatus = `Error: ${formatChangedFile(selectedFile)} is not staged`;
+          render(state);
+          return;
+        }
+        await runChangedFilesAction(repoPath => gitUnstageFile(repoPath, selectedFile));
+      } else if (str === 'x' && selectedFile) {
+        state.discardConfirm = selectedFile;
+        render(state);
+      } else if (str === 'c') {
+        if (!files.some(f => isStagedStatus(f.status))) {
+          state.changedFilesStatus = 'Error: nothing staged - stage files with s first';
+        } else {
+          state.commitPrompt = '';
+          state.changedFilesStatus = null;
+        }
+        render(state);
+      } else if (str === 'C' && filesEntry) {
+        // Claude modes keep the current mode (and its options), otherwise plain Claude
+        const mode = isClaudeMode(state.mode, state.customModes, filesEntry) ? state.mode : 'Claude';
+        requestLaunch(filesEntry, false, mode, 'with /git:commit');
+      } else if (str === 'o' && selectedFile && filesEntry) {
+        const result = openFileInIde(filesEntry, selectedFile, state.ides);
+        state.lastLaunchMessage = result.success ? `${result.message}: ${selectedFile.file}` : `Error: ${result.message}`;
+        render(state);
+        setTimeout(() => {
+          state.lastLaunchMessage = null;
+          render(state);
+        }, 2500);
+      } else if (str === 'q') {
+        console.log('\nBye!');
+        process.exit(0);
+      }
+      return;
+    }
+
     // Main menu keys
     switch (key.name) {
       case 'up':
@@ -2723,12 +7001,16 @@ automatically provide the correct paths from your workspace root.
         // Expand children, or show changed files if leaf
         const itemToExpand = state.flattenedEntries[state.selectedIndex];
         if (!itemToExpand) break;
-        if (itemToExpand.entry.children && itemToExpand.entry.children.length > 0) {
+        if (hasMenuChildren(itemToExpand.entry, state.worktreesByRepo)) {
           itemToExpand.entry.expanded = true;
           refreshFlattenedEntries();
+        } else if (state.showChangedFiles && state.changedFilesPath === itemToExpand.entry.path) {
+          // Files already shown - move into the list
+          state.changedFilesFocus = true;
+          state.changedFilesSelectedIndex = 0;
         } else if (itemToExpand.entry.path) {
           // Leaf entry - show changed files
-          toggleChangedFiles(state, itemToExpand.entry.path);
+          await showChangedFilesForEntry(state, itemToExpand.entry.path);
         }
         render(state);
         break;
@@ -2743,7 +7025,7 @@ automatically provide the correct paths from your workspace root.
         }
         const itemToCollapse = state.flattenedEntries[state.selectedIndex];
         if (!itemToCollapse) break;
-        if (itemToCollapse.entry.expanded && itemToCollapse.entry.children?.length > 0) {
+        if (itemToCollapse.entry.expanded && hasMenuChildren(itemToCollapse.entry, state.worktreesByRepo)) {
           // Collapse expanded group
           itemToCollapse.entry.expanded = false;
           refreshFlattenedEntries();
@@ -2765,11 +7047,10 @@ automatically provide the correct paths from your workspace root.
           state.otherManagedMode = true;
           state.otherManagedSelectedIndex = 0;
           render(state);
-        } else if (selectedItem.entry.path) {
+        } else if (isLaunchable(selectedItem.entry)) {
           // Has path - launch and exit (use 'n' for new window)
-          if (process.stdin.isTTY) process.stdin.setRawMode(false);
-          launch(selectedItem.entry, state.mode, state.claudeStartupMode, state.ides);
-        } else if (selectedItem.entry.children && selectedItem.entry.children.length > 0) {
+          requestLaunch(selectedItem.entry);
+        } else if (hasMenuChildren(selectedItem.entry, state.worktreesByRepo)) {
           // No path but has children - toggle expand/collapse
           selectedItem.entry.expanded = !selectedItem.entry.expanded;
           refreshFlattenedEntries();
@@ -2795,20 +7076,50 @@ automatically provide the correct paths from your workspace root.
         process.exit(0);
         break;
 
-      case 'd':
-        state.scanning = true;
+      case 'escape':
+        // Clear marks and batch results
+        state.markedPaths.clear();
+        state.batchLaunchResults = null;
         render(state);
-        // Collect ALL entries recursively (not just visible)
-        const allEntries = collectAllEntries(state.entries);
-        state.diffs = await scanAllDiffs(allEntries);
-        // Compute aggregate stats for groups
-        computeGroupStats(state.entries, state.diffs);
-        // Save to cache with timestamp
-        state.diffsLastScan = Date.now();
-        saveCache(state);
-        state.scanning = false;
+        break;
+
+      case 't': {
+        // New worktree for the selected repo (or the repo of a selected worktree)
+        const worktreeItem = state.flattenedEntries[state.selectedIndex];
+        const selected = worktreeItem?.entry;
+        if (!selected || !selected.path || selected.type === 'other-managed') break;
+        state.worktreeCreate = {
+          repoPath: selected.worktreeOf || selected.path,
+          buffer: '',
+          status: null,
+          busy: false,
+        };
+        hideChangedFiles(state);
+        render(state);
+        break;
+      }
+
+      case 'm': {
+        // Toggle mark; on a group, marks/unmarks all its launchable entries
+        const markItem = state.flattenedEntries[state.selectedIndex];
+        const targets = markItem && markItem.entry.type !== 'other-managed' ? collectMarkTargets(markItem.entry) : [];
+        if (targets.length === 0) break;
+        const allMarked = targets.every(p => state.markedPaths.has(p));
+        for (const p of targets) {
+          if (allMarked) {
+            state.markedPaths.delete(p);
+          } else {
+            state.markedPaths.add(p);
+          }
+        }
+        state.batchLaunchResults = null;
         render(state);
         break;
+      }
+
+      case 'd':
+        await runDiffScan();
+        break;
 
       case 'f':
         // Open config menu
@@ -2828,29 +7139,21 @@ automatically provide the correct paths from your workspace root.
 
         // Build list of all managed repos (flat, no nesting) with LOCAL status only
         const managedReposForRemote = getManagedRepos(state.allRepos, state.unmanagedPaths);
-        const remoteRepos = [];
-
-        for (const repo of managedReposForRemote) {
-          // Get local status only (no fetch) - ahead/behind will be stale until 'f' pressed
-          const status = getRemoteStatus(repo.path);
-          const stats = getGitStats(repo.path);
-          const defaultBranch = detectDefaultBranch(repo.path);
-          const currentBranch = status?.branch || 'unknown';
-          const vsMain = getStatusVsMain(repo.path, currentBranch, defaultBranch);
-
-          remoteRepos.push({
-            path: repo.path,
-            name: repo.path,
-            branch: currentBranch,
-            defaultBranch: defaultBranch,
-            ahead: status?.ahead || 0,
-            behind: status?.behind || 0,
-            vsMain: vsMain,
-            changes: stats,
-          });
-        }
-
+        const remoteRepos = createRemoteStatusRows(managedReposForRemote.map(repo => repo.path));
         state.remoteStatusRepos = remoteRepos;
+        state.remoteStatusProgress = { done: 0, total: remoteRepos.length };
+        render(state);
+
+        // Get local status only (no fetch) - ahead/behind will be stale until 'f' pressed
+        const isCurrentRemoteView = () => state.remoteStatusMode && state.remoteStatusRepos === remoteRepos;
+        await runPool(remoteRepos, refreshRemoteStatusRow, state.gitConcurrency, (done, total) => {
+          if (!isCurrentRemoteView()) return;
+          state.remoteStatusProgress = { done, total };
+          render(state);
+        });
+        if (!isCurrentRemoteView()) break;
+
+        state.remoteStatusProgress = null;
         state.remoteStatusMessage = `${remoteRepos.length} repos (press f to fetch)`;
         render(state);
 
@@ -2861,29 +7164,56 @@ automatically provide the correct paths from your workspace root.
         }, 2000);
         break;
 
+      case 'g': {
+        // History and branches of the selected repo
+        const detailItem = state.flattenedEntries[state.selectedIndex];
+        if (!detailItem || !detailItem.entry.path || detailItem.entry.type === 'other-managed') break;
+        hideChangedFiles(state);
+        await openRepoDetail(detailItem.entry.path);
+        break;
+      }
+
+      case 'x':
+        // Reconcile entries/repos missing on disk
+        state.reconcileMode = true;
+        state.reconcileSelectedIndex = 0;
+        state.reconcileCandidateIndex = 0;
+        state.reconcileStatus = null;
+        hideChangedFiles(state);
+        render(state);
+        break;
+
       case 'space':
         // Toggle changed files display
         const currentEntry = state.flattenedEntries[state.selectedIndex];
         if (currentEntry?.entry.path) {
-          toggleChangedFiles(state, currentEntry.entry.path);
+          await toggleChangedFiles(state, currentEntry.entry.path);
           render(state);
         }
         break;
 
       default:
-        // 'n' key - launch in new window (same as Shift+Enter)
+        // '/' key - fuzzy search across all entries and other managed repos
+        if (str === '/') {
+          state.searchMode = true;
+          state.searchQuery = '';
+          state.searchCandidates = collectSearchCandidates(state.entries, state.otherManagedRepos, state.ides[0]?.name || 'WebStorm', state.worktreesByRepo);
+          state.searchResults = searchCandidates('', state.searchCandidates);
+          state.searchSelectedIndex = 0;
+          hideChangedFiles(state);
+          render(state);
+          break;
+        }
+
+        // 'n' key - launch in new window; with marked entries, launch all of them
+        if (str === 'n' && state.markedPaths.size > 0) {
+          requestBatchLaunch();
+          break;
+        }
         if (str === 'n') {
           const nSelectedItem = state.flattenedEntries[state.selectedIndex];
-          if (nSelectedItem?.entry.path) {
-            const result = launch(nSelectedItem.entry, state.mode, state.claudeStartupMode, state.ides, true);
-            state.lastLaunchMessage = result.success
-              ? `${result.message}: ${nSelectedItem.entry.name}`
-              : `Error: ${result.message}`;
-            render(state);
-            setTimeout(() => {
-              state.lastLaunchMessage = null;
-              render(state);
-            }, 2500);
+          if (nSelectedItem && isLaunchable(nSelectedItem.entry)) {
+            requestLaunch(nSelectedItem.entry, true);
           }
           break;
         }
@@ -2898,6 +7228,549 @@ automatically provide the correct paths from your workspace root.
 
   // Handle resize
   process.stdout.on('resize', () => render(state));
+
+  startAutoRefresh();
+}
+
+// ============================================================================
+// CLI Subcommands
+// ============================================================================
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Bump when --json output changes incompatibly (see README "JSON Output")
+const JSON_SCHEMA_VERSION = 1;
+
+/**
+ * Print a --json report wrapped in the versioned envelope
+ */
+function printJsonReport(kind, data) {
+  console.log(JSON.stringify({
+    schema: `claude-root-launcher/${kind}`,
+    schemaVersion: JSON_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    workspaceRoot: WORKSPACE_ROOT,
+    ...data,
+  }, null, 2));
+}
+
+/**
+ * Find entry by name or path (exact, then case-insensitive), then managed repos,
+ * then a directory on disk inside the workspace. Returns entry or null
+ */
+function resolveOpenTarget(query, config, allRepos) {
+  const normalized = query.replace(/\\/g, '/').replace(/\/+$/, '');
+  const lower = normalized.toLowerCase();
+  const defaultIde = config.ides?.[0]?.name || 'WebStorm';
+  const entries = collectAllEntries(config.entries || []);
+
+  const entry = entries.find(e => e.name === query || e.path === normalized)
+    || entries.find(e => e.name?.toLowerCase() === lower || e.path.toLowerCase() === lower);
+  if (entry) return entry;
+
+  // Worktree of an entry - inherits the entry's IDE and Claude options
+  const worktree = collectWorktreeEntries(config.entries || [], groupWorktrees(allRepos))
+    .find(e => e.path === normalized || e.path.toLowerCase() === lower);
+  if (worktree) return worktree;
+
+  const managedRepos = getManagedRepos(allRepos, config.unmanagedPaths || []);
+  const repo = managedRepos.find(r => r.path === normalized)
+    || managedRepos.find(r => r.path.toLowerCase() === lower);
+  if (repo) return { type: 'repo', path: repo.path, name: repo.path, ide: defaultIde };
+
+  // Directory on disk (relative to cwd or workspace root) inside the workspace
+  const candidates = [path.resolve(query), path.resolve(WORKSPACE_ROOT, query)];
+  for (const candidate of candidates) {
+    if (!fs.existsSync(candidate) || !fs.statSync(candidate).isDirectory()) continue;
+    const rel = path.relative(path.resolve(WORKSPACE_ROOT), candidate).replace(/\\/g, '/');
+    if (rel.startsWith('..') || path.isAbsolute(rel)) continue;
+    return { type: 'repo', path: rel || '.', name: rel || '.', ide: defaultIde };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve --startup value: configured startup mode, 'none', or a bare command
+ */
+function resolveStartupMode(value, startupModes) {
+  if (!value) return startupModes[0] || 'none';
+  if (value === 'none' || startupModes.includes(value)) return value;
+  return `with ${value}`;
+}
+
+/**
+ * list - print entries tree and other managed repos
+ */
+function commandList(args, config, allRepos) {
+  const managedRepos = getManagedRepos(allRepos, config.unmanagedPaths || []);
+  const otherRepos = getOtherManagedRepos(managedRepos, config.entries || []);
+  const worktreesByRepo = groupWorktrees(managedRepos);
+
+  if (args.json) {
+    const toJson = entry => ({
+      type: entry.type || null,
+      name: entry.name || null,
+      path: entry.path || null,
+      ide: entry.ide || null,
+      behaviour: getEntryBehaviour(entry),
+      openableAsRoot: entry.openableAsRoot !== false,
+      claudeArgs: entry.path ? buildClaudeArgs(getClaudeOptions(entry), null) : [],
+      worktrees: (worktreesByRepo[entry.path] || []).map(wt => ({ path: wt.path, branch: wt.branch || null, worktreeOf: wt.worktreeOf })),
+      children: (entry.children || []).map(toJson),
+    });
+    printJsonReport('list', {
+      entries: (config.entries || []).map(toJson),
+      otherManaged: otherRepos.map(r => r.path),
+    });
+    return EXIT_OK;
+  }
+
+  const printTree = (entries, depth) => {
+    for (const entry of entries) {
+      const pathSuffix = entry.path ? ` ${ANSI.dim}${entry.path}${ANSI.reset}` : '';
+      const behaviour = getEntryBehaviour(entry);
+      const behaviourSuffix = behaviour !== 'open' ? ` ${ANSI.magenta}[${behaviour}]${ANSI.reset}` : '';
+      console.log(`${'  '.repeat(depth)}${entry.name}${pathSuffix}${behaviourSuffix}`);
+      for (const wt of getWorktreeEntries(entry, worktreesByRepo)) {
+        console.log(`${'  '.repeat(depth + 1)}${wt.name} ${ANSI.dim}${wt.path}${ANSI.reset} ${ANSI.gray}(worktree of ${wt.worktreeOf})${ANSI.reset}`);
+      }
+      if (entry.children) printTree(entry.children, depth + 1);
+    }
+  };
+  printTree(config.entries || [], 0);
+
+  if (otherRepos.length > 0) {
+    console.log(`\n${ANSI.dim}Other managed:${ANSI.reset}`);
+    otherRepos.forEach(r => console.log(`  ${r.path}`));
+  }
+  return EXIT_OK;
+}
+
+/**
+ * Ask a single question on the terminal, resolves the typed line
+ */
+function promptLine(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+/**
+ * open - launch an entry without the menu
+ */
+async function commandOpen(args, config, allRepos) {
+  const query = args.commandArgs[0];
+  if (!query) {
+    console.error(`${ANSI.red}Error: open requires an entry name or path${ANSI.reset}`);
+    return EXIT_USAGE;
+  }
+
+  const entry = resolveOpenTarget(query, config, allRepos);
+  if (!entry) {
+    console.error(`${ANSI.red}Error: No entry or repository matches "${query}"${ANSI.reset}`);
+    return EXIT_FAILURE;
+  }
+  if (!isLaunchable(entry)) {
+    console.error(`${ANSI.red}Error: "${entry.name}" is not openable (openableAsRoot: false)${ANSI.reset}`);
+    return EXIT_FAILURE;
+  }
+
+  const mode = resolveModeArg(args.mode, config, getModeCycle(config)[0]);
+  if (!mode) return EXIT_USAGE;
+
+  return launchFromCli(entry, mode, args, config);
+}
+
+/**
+ * Resolve --mode case-insensitively against the mode cycle (fallback when not given)
+ * Prints the error and returns null for an unknown mode
+ */
+function resolveModeArg(value, config, fallback) {
+  const modes = getModeCycle(config);
+  const mode = value ? modes.find(m => m.toLowerCase() === value.toLowerCase()) : fallback;
+  if (!mode) {
+    console.error(`${ANSI.red}Error: Unknown mode "${value || fallback}". Available: ${modes.join(', ')}${ANSI.reset}`);
+  }
+  return mode || null;
+}
+
+/**
+ * Launch a resolved entry for open/worktree (--startup, --new-window, --yes), resolves exit code
+ */
+async function launchFromCli(entry, mode, args, config) {
+  const startupMode = resolveStartupMode(args.startup, config.claudeStartupModes || []);
+
+  if (skipsPermissions(entry, mode, config.customModes) && !args.yes) {
+    if (!process.stdin.isTTY) {
+      console.error(`${ANSI.red}Error: "${entry.name}" launches with --dangerously-skip-permissions; pass --yes to confirm${ANSI.reset}`);
+      return EXIT_USAGE;
+    }
+    const answer = await promptLine(`Launch ${entry.name} with --dangerously-skip-permissions? [y/N] `);
+    if (answer.trim().toLowerCase() !== 'y') {
+      console.log(`${ANSI.dim}Cancelled${ANSI.reset}`);
+      return EXIT_FAILURE;
+    }
+  }
+
+  if (args.newWindow) {
+    const result = launch(entry, mode, startupMode, config.ides || [], true);
+    if (!result.success) {
+      console.error(`${ANSI.red}Error: ${result.message}${ANSI.reset}`);
+      return EXIT_FAILURE;
+    }
+    console.log(`${ANSI.green}${result.message}: ${entry.name}${ANSI.reset}`);
+    return EXIT_OK;
+  }
+
+  // In-terminal Claude (or a custom terminal mode) takes over and exits with its exit code
+  return launch(entry, mode, startupMode, config.ides || []) ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * worktree - create a worktree for a branch and launch Claude in it
+ */
+async function commandWorktree(args, config, allRepos) {
+  const [query, branch] = args.commandArgs;
+  if (!query || !branch) {
+    console.error(`${ANSI.red}Error: worktree requires a repository and a branch${ANSI.reset}`);
+    return EXIT_USAGE;
+  }
+
+  const target = resolveOpenTarget(query, config, allRepos);
+  if (!target) {
+    console.error(`${ANSI.red}Error: No entry or repository matches "${query}"${ANSI.reset}`);
+    return EXIT_FAILURE;
+  }
+  // Checked before creating, so a bad --mode leaves nothing behind
+  const mode = resolveModeArg(args.mode, config, 'Claude');
+  if (!mode) return EXIT_USAGE;
+
+  const result = await createWorktree(target.worktreeOf || target.path, branch);
+  if (!result.success) {
+    console.error(`${ANSI.red}Error: ${result.message}${ANSI.reset}`);
+    return EXIT_FAILURE;
+  }
+  const repositories = addWorktreeRecord(result.worktree);
+  console.log(`${ANSI.green}${result.message}${ANSI.reset}`);
+
+  const entry = resolveOpenTarget(result.worktree.path, config, repositories);
+  if (!entry) {
+    console.error(`${ANSI.red}Error: Worktree created but could not be resolved for launch: ${result.worktree.path}${ANSI.reset}`);
+    return EXIT_FAILURE;
+  }
+  return launchFromCli(entry, mode, args, config);
+}
+
+/**
+ * status - print remote status table for managed repos
+ */
+async function commandStatus(args, config, allRepos, vanished = []) {
+  const managedRepos = getManagedRepos(allRepos, config.unmanagedPaths || []);
+  const rows = createRemoteStatusRows(managedRepos.map(repo => repo.path));
+  const concurrency = config.gitConcurrency || DEFAULT_GIT_CONCURRENCY;
+
+  if (rows.length === 0 && !args.json) {
+    console.log(`${ANSI.dim}No repositories to display${ANSI.reset}`);
+    return EXIT_OK;
+  }
+
+  await runPool(rows, async row => {
+    const onDisk = fs.existsSync(path.join(WORKSPACE_ROOT, row.path));
+    if (onDisk && args.fetch) row.fetchResult = await gitFetch(row.path);
+    if (onDisk && args.json) row.changedFiles = await getChangedFiles(row.path);
+    return refreshRemoteStatusRow(row);
+  }, concurrency);
+  const missing = findMissingRepos(config.entries, allRepos, vanished, config.unmanagedPaths || []);
+  // The table (or JSON) is still printed; a failed fetch only changes the exit code
+  const exitCode = rows.some(row => row.fetchResult && !row.fetchResult.success) ? EXIT_FAILURE : EXIT_OK;
+
+  if (args.json) {
+    printJsonReport('status', {
+      fetched: args.fetch,
+      repos: rows.map(row => ({
+        path: row.path,
+        exists: fs.existsSync(path.join(WORKSPACE_ROOT, row.path, '.git')),
+        missing: row.missing,
+        branch: row.branch,
+        defaultBranch: row.defaultBranch,
+        upstream: { name: row.upstream, ahead: row.ahead, behind: row.behind },
+        vsMain: row.vsMain,
+        changes: row.changes,
+        changedFiles: row.changedFiles || [],
+        ...(row.submoduleOf ? { submoduleOf: row.submoduleOf, submodule: row.submodule } : {}),
+        ...(row.fetchResult ? { fetchOk: row.fetchResult.success } : {}),
+        ...(row.fetchResult && !row.fetchResult.success ? { fetchError: { message: row.fetchResult.message, hint: row.fetchResult.hint } } : {}),
+      })),
+      missing: missing.map(({ kind, path: itemPath, remote, candidates }) => ({ kind, path: itemPath, remote, candidates })),
+    });
+    return exitCode;
+  }
+
+  const lines = [];
+  renderRemoteTable(lines, { remoteStatusRepos: rows, remoteStatusSelectedIndex: -1 });
+  for (const row of rows.filter(r => r.fetchResult && !r.fetchResult.success && r.fetchResult.record)) {
+    lines.push(`${ANSI.red}fetch failed${ANSI.reset} ${row.name}: ${describeFailure(row.fetchResult)}`);
+  }
+  if (missing.length > 0) {
+    lines.push(`${ANSI.yellow}${missing.length} entries/repos missing on disk - press x in the launcher to reconcile${ANSI.reset}`);
+  }
+  console.log(lines.join('\n'));
+  return exitCode;
+}
+
+/**
+ * scan - rescan workspace and update repos.json
+ */
+function commandScan(args) {
+  const { repos, vanished, reposFile, report } = runRepoScan();
+  const config = loadJson(getConfigPaths().config, {});
+  const missing = findMissingRepos(config.entries || [], repos, vanished, config.unmanagedPaths || []);
+  if (args.json) {
+    printJsonReport('scan', {
+      reposFile,
+      repositories: repos,
+      added: report.added,
+      removed: report.removed,
+      missing: missing.map(({ kind, path: itemPath, remote, candidates }) => ({ kind, path: itemPath, remote, candidates })),
+    });
+    return EXIT_OK;
+  }
+  console.log(formatScanSummary(repos, report));
+  report.added.forEach(p => console.log(`  ${ANSI.green}+ ${p}${ANSI.reset}`));
+  report.removed.forEach(p => console.log(`  ${ANSI.red}- ${p}${ANSI.reset}`));
+  if (missing.length > 0) {
+    console.log(`${ANSI.yellow}${missing.length} entries/repos missing on disk - press x in the launcher to reconcile${ANSI.reset}`);
+  }
+  console.log(`${ANSI.dim}Saved to ${reposFile}${ANSI.reset}`);
+  return EXIT_OK;
+}
+
+/**
+ * Validate config against repos.json, disk (paths relative to workspaceRoot) and configured IDEs
+ * Returns array of { level: 'error' | 'warning', message }
+ */
+function validateConfig(config, repositories, workspaceRoot = WORKSPACE_ROOT) {
+  const problems = [];
+  if (config.version && compareVersions(config.version, CURRENT_CONFIG_VERSION) > 0) {
+    problems.push({ level: 'error', message: `Config version ${config.version} is newer than this launcher supports (${CURRENT_CONFIG_VERSION})` });
+  }
+  for (const key of findUnknownKeys(config, CONFIG_SCHEMA)) {
+    problems.push({ level: 'warning', message: `Unknown config key: ${key}` });
+  }
+
+  const repoPaths = new Set((repositories || []).map(r => r.path));
+  const ideNames = new Set((config.ides || []).map(i => i.name));
+  const customNames = new Set((config.customModes || []).map(m => m.name));
+  const seenPaths = new Map();
+
+  const visit = (entries, trail) => {
+    for (const entry of entries) {
+      const label = [...trail, entry.name || entry.path || '(unnamed)'].join(' > ');
+      const isContainer = entry.type === 'group' || entry.type === 'workspace';
+
+      if (entry.path) {
+        seenPaths.set(entry.path, (seenPaths.get(entry.path) || 0) + 1);
+        const onDisk = fs.existsSync(path.join(workspaceRoot, entry.path));
+        if (!onDisk) {
+          problems.push({ level: 'error', message: `Entry "${label}": path not found on disk: ${entry.path}` });
+        } else if (!isContainer && !repoPaths.has(entry.path)) {
+          problems.push({ level: 'warning', message: `Entry "${label}": path not in repos.json: ${entry.path}` });
+        }
+      }
+
+      if (entry.ide && ideNames.size > 0 && !ideNames.has(entry.ide)) {
+        problems.push({ level: 'error', message: `Entry "${label}": IDE "${entry.ide}" is not configured in ides` });
+      }
+
+      if (entry.type === 'group' && (!entry.children || entry.children.length === 0)) {
+        problems.push({ level: 'warning', message: `Group "${label}" is empty` });
+      }
+
+      if (getEntryBehaviour(entry) === 'hoist' && (!entry.children || entry.children.length === 0)) {
+        problems.push({ level: 'warning', message: `Entry "${label}" is hoisted but has no children - nothing is shown` });
+      }
+
+      for (const modeName of Object.keys(entry.modeOverrides || {})) {
+        if (!customNames.has(modeName)) {
+          problems.push({ level: 'warning', message: `Entry "${label}": override for unknown custom mode "${modeName}"` });
+        }
+      }
+
+      // --add-dir paths are resolved from the entry directory (Claude's cwd)
+      for (const dir of getClaudeOptions(entry).addDirs) {
+        if (entry.path && !fs.existsSync(path.resolve(workspaceRoot, entry.path, dir))) {
+          problems.push({ level: 'warning', message: `Entry "${label}": Claude add-dir not found: ${dir}` });
+        }
+      }
+
+      if (entry.children) visit(entry.children, [...trail, entry.name || entry.path]);
+    }
+  };
+  visit(config.entries || [], []);
+
+  if (ideNames.size === 0) {
+    problems.push({ level: 'warning', message: 'No IDEs configured - IDE modes will fail (Config -> Re-detect IDEs)' });
+  }
+
+  for (const [entryPath, count] of seenPaths) {
+    if (count > 1) {
+      problems.push({ level: 'error', message: `Duplicate entry path (${count}x): ${entryPath}` });
+    }
+  }
+
+  for (const ide of config.ides || []) {
+    if (ide.shortcut && !fs.existsSync(ide.shortcut)) {
+      problems.push({ level: 'error', message: `IDE "${ide.name}": shortcut not found: ${ide.shortcut}` });
+    }
+    if (ide.path && !fs.existsSync(ide.path)) {
+      problems.push({ level: 'error', message: `IDE "${ide.name}": path not found: ${ide.path}` });
+    }
+    if (ide.command && !findOnPath(expandCommandTemplate(ide.command, {}).command)) {
+      problems.push({ level: 'error', message: `IDE "${ide.name}": command not found: ${ide.command}` });
+    }
+  }
+
+  for (const root of getScanSettings(config).roots) {
+    if (!fs.existsSync(path.resolve(workspaceRoot, root))) {
+      problems.push({ level: 'warning', message: `Scan root not found: ${root}` });
+    }
+  }
+
+  const seenModes = new Set();
+  for (const custom of config.customModes || []) {
+    if (BUILTIN_MODES.includes(custom.name)) {
+      problems.push({ level: 'error', message: `Custom mode "${custom.name}": name is reserved for a built-in mode` });
+    } else if (seenModes.has(custom.name)) {
+      problems.push({ level: 'error', message: `Custom mode "${custom.name}": defined more than once` });
+    }
+    seenModes.add(custom.name);
+    const executable = splitArgs(custom.command)[0];
+    if (executable && !executable.includes('{') && !findOnPath(executable)) {
+      problems.push({ level: 'warning', message: `Custom mode "${custom.name}": command not found: ${executable}` });
+    }
+  }
+  for (const mode of config.modes || []) {
+    if (!BUILTIN_MODES.includes(mode) && !customNames.has(mode)) {
+      problems.push({ level: 'error', message: `Mode "${mode}" is neither built-in nor defined in customModes` });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * --config - configuration doctor: resolved paths, summary, validation report
+ * Resolves EXIT_FAILURE when any problem is found
+ */
+function commandConfig(args) {
+  const paths = getConfigPaths();
+  // Read-only: nothing is created, migrated or backed up by checking
+  let loaded;
+  try {
+    loaded = readStateFiles();
+  } catch (err) {
+    if (!err.configErrors) throw err;
+    if (args.json) {
+      printJsonReport('config', {
+        paths,
+        config: null,
+        problems: err.configErrors.map(message => ({ level: 'error', message })),
+      });
+    } else {
+      printConfigError(err);
+    }
+    return EXIT_FAILURE;
+  }
+  const { config, repos: reposData } = loaded;
+  const problems = validateConfig(config, reposData.repositories);
+  const notes = [];
+  if (loaded.created) notes.push('runner-config.json does not exist - showing the default config the launcher creates on start');
+  if (loaded.applied.length > 0) {
+    notes.push(`runner-config.json is version ${loaded.fromVersion} - upgraded to ${config.version} (after a backup) on the next start`);
+  }
+
+  if (args.json) {
+    printJsonReport('config', { paths, config, notes, problems });
+    return problems.length > 0 ? EXIT_FAILURE : EXIT_OK;
+  }
+
+  const lines = [];
+  lines.push(`${ANSI.bold}${ANSI.cyan}Configuration Doctor${ANSI.reset}`);
+  lines.push(SEP60);
+
+  lines.push(`${ANSI.bold}Paths:${ANSI.reset}`);
+  lines.push(`  workspace   ${WORKSPACE_ROOT}`);
+  lines.push(`  state dir   ${STATE_DIR}`);
+  for (const [key, filePath] of Object.entries(paths)) {
+    // Legacy diffs file and the transient lock are only worth showing if present
+    if ((key === 'diffs' || key === 'lock') && !fs.existsSync(filePath)) continue;
+    const status = fs.existsSync(filePath) ? `${ANSI.green}ok${ANSI.reset}` : `${ANSI.dim}missing${ANSI.reset}`;
+    lines.push(`  ${key.padEnd(11)} ${filePath} ${status}`);
+  }
+  notes.forEach(note => lines.push(`  ${ANSI.yellow}${note}${ANSI.reset}`));
+
+  const allEntries = collectAllEntries(config.entries || []);
+  const groupCount = allEntries.filter(e => e.type === 'group').length;
+  lines.push('');
+  lines.push(`${ANSI.bold}Summary:${ANSI.reset}`);
+  lines.push(`  version        ${config.version || '(none)'}`);
+  lines.push(`  entries        ${allEntries.length} (${config.entries?.length || 0} top-level, ${groupCount} groups)`);
+  lines.push(`  repositories   ${reposData.repositories?.length || 0} in repos.json`);
+  lines.push(`  unmanaged      ${(config.unmanagedPaths || []).length}${(config.unmanagedPaths || []).length ? ': ' + config.unmanagedPaths.join(', ') : ''}`);
+  lines.push(`  modes          ${getModeCycle(config).join(', ')}`);
+  lines.push(`  startup modes  ${(config.claudeStartupModes || []).join(', ')}`);
+  lines.push(`  claude         ${config.claudeCommand || '(auto-detect)'}`);
+  lines.push(`  terminal       ${config.terminal || '(platform default)'}`);
+  lines.push(`  IDEs           ${(config.ides || []).length ? '' : '(none)'}`);
+  for (const ide of config.ides || []) {
+    lines.push(`    - ${ide.name} ${ANSI.dim}${getIdeTarget(ide) || ''}${ANSI.reset}`);
+  }
+
+  lines.push('');
+  lines.push(`${ANSI.bold}Validation:${ANSI.reset}`);
+  if (problems.length === 0) {
+    lines.push(`  ${ANSI.green}No problems found${ANSI.reset}`);
+  } else {
+    for (const problem of problems) {
+      const marker = problem.level === 'error' ? `${ANSI.red}error  ${ANSI.reset}` : `${ANSI.yellow}warning${ANSI.reset}`;
+      lines.push(`  ${marker} ${problem.message}`);
+    }
+    const errorCount = problems.filter(p => p.level === 'error').length;
+    lines.push('');
+    lines.push(`  ${errorCount} errors, ${problems.length - errorCount} warnings`);
+  }
+
+  console.log(lines.join('\n'));
+  return problems.length > 0 ? EXIT_FAILURE : EXIT_OK;
+}
+
+/**
+ * Dispatch non-interactive subcommand, resolves exit code
+ */
+async function runCommand(args) {
+  if (args.command === 'scan') return commandScan(args);
+
+  const { config, repos: reposData } = loadConfig();
+  const allRepos = reposData.repositories || [];
+
+  switch (args.command) {
+    case 'list':
+      return commandList(args, config, allRepos);
+    case 'open':
+      return commandOpen(args, config, allRepos);
+    case 'worktree':
+      return commandWorktree(args, config, allRepos);
+    case 'status':
+      return commandStatus(args, config, allRepos, reposData.vanished || []);
+    default:
+      console.error(`${ANSI.red}Error: Unknown command "${args.command}". Run with --help for usage.${ANSI.reset}`);
+      return EXIT_USAGE;
+  }
 }
 
 // ============================================================================
@@ -2949,7 +7822,80 @@ async function runSetup() {
 }
 
 // Run
-main().catch(err => {
-  console.error(`${ANSI.red}Error: ${err.message}${ANSI.reset}`);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    if (err.configErrors) {
+      printConfigError(err);
+    } else {
+      console.error(`${ANSI.red}Error: ${err.message}${ANSI.reset}`);
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  // Launch backends (command construction only, nothing is spawned)
+  getLaunchBackend,
+  buildTerminalCommand,
+  resolveLinuxTerminal,
+  expandCommandTemplate,
+  TERMINAL_PRESETS,
+  // Entries
+  flattenMenuEntries,
+  normalizeEntry,
+  // Config validation & migrations
+  validateConfig,
+  findUnknownKeys,
+  getModeCycle,
+  isClaudeMode,
+  scanForRepos,
+  getScanSettings,
+  globToRegExp,
+  compileExcludes,
+  isExcluded,
+  diffRepoLists,
+  listWorktrees,
+  parseSubmoduleStatus,
+  createRemoteStatusRows,
+  getRemoteRowActions,
+  planPush,
+  getSyncBlocker,
+  getFailureHint,
+  FAILURE_HINTS,
+  getRepoDetail,
+  parseStatusPorcelain,
+  formatChangedFile,
+  getChangedFilePaths,
+  addGitStats,
+  emptyGitStats,
+  mergeDiffs,
+  mergeRemoteStatus,
+  formatStats,
+  getAutoRefreshSettings,
+  isStale,
+  isWatchedChange,
+  colorDiffLine,
+  readRemoteUrl,
+  normalizeRemoteUrl,
+  findMissingRepos,
+  groupWorktrees,
+  isLinkedWorktree,
+  collectMarkTargets,
+  fuzzyMatch,
+  collectSearchCandidates,
+  searchCandidates,
+  buildClaudeArgs,
+  getClaudeOptions,
+  setClaudeOption,
+  formatCommandLine,
+  splitArgs,
+  validateSchema,
+  migrateConfig,
+  compareVersions,
+  CONFIG_MIGRATIONS,
+  CONFIG_SCHEMA,
+  // IDE discovery
+  detectIDEs,
+  parseDesktopFile,
+  mergeDetectedIDEs,
+};
@@ -0,0 +1,718 @@
+/**
+ * Tests for the launcher's pure helpers (temp directories at most - no git, terminal or state dir)
+ * Run: node --test plugins/root/launcher/
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getLaunchBackend,
+  buildTerminalCommand,
+  resolveLinuxTerminal,
+  expandCommandTemplate,
+  TERMINAL_PRESETS,
+  parseDesktopFile,
+  mergeDetectedIDEs,
+  validateConfig,
+  validateSchema,
+  findUnknownKeys,
+  CONFIG_SCHEMA,
+  migrateConfig,
+  CONFIG_MIGRATIONS,
+  normalizeEntry,
+  mergeDiffs,
+  mergeRemoteStatus,
+  fuzzyMatch,
+  searchCandidates,
+  globToRegExp,
+  compileExcludes,
+  isExcluded,
+  scanForRepos,
+  getScanSettings,
+  normalizeRemoteUrl,
+  findMissingRepos,
+  parseSubmoduleStatus,
+  planPush,
+  getSyncBlocker,
+  getFailureHint,
+  FAILURE_HINTS,
+  parseStatusPorcelain,
+  formatChangedFile,
+  getChangedFilePaths,
+  addGitStats,
+  emptyGitStats,
+  isStale,
+  isWatchedChange,
+} = require('./launcher.js');
+
+// ============================================================================
+// Launch backends
+// ============================================================================
+
+const KEEP_OPEN = '; exec "${SHELL:-sh}"';
+const linuxDir = '/home/me/my repos/app';
+
+test('getLaunchBackend picks the platform backend, other Unix-likes use Linux', () => {
+  assert.equal(getLaunchBackend('win32').name, 'Windows');
+  assert.equal(getLaunchBackend('darwin').name, 'macOS');
+  assert.equal(getLaunchBackend('linux').name, 'Linux');
+  assert.equal(getLaunchBackend('freebsd').name, 'Linux');
+});
+
+test('Windows backend starts PowerShell in the directory, quoting it for PowerShell', () => {
+  const backend = getLaunchBackend('win32');
+  assert.deepEqual(backend.claude("C:\\My Repos\\it's", 'claude --continue', null), {
+    command: 'cmd',
+    args: ['/c', 'start', 'powershell', '-NoExit', '-Command', "Set-Location 'C:\\My Repos\\it''s'; claude --continue"],
+  });
+  assert.deepEqual(backend.shell('C:\\My Repos\\app', null).args.slice(-1), ["Set-Location 'C:\\My Repos\\app'"]);
+  assert.deepEqual(backend.ide({ name: 'Code', path: 'C:\\Program Files\\Code\\Code.exe' }, 'C:\\My Repos\\app'), {
+    command: 'cmd',
+    args: ['/c', 'start', '', 'C:\\Program Files\\Code\\Code.exe', 'C:\\My Repos\\app'],
+  });
+  assert.deepEqual(backend.claude('C:\\My Repos\\app', 'claude', 'wt -d {path} cmd /k {command}'), {
+    command: 'wt',
+    args: ['-d', 'C:\\My Repos\\app', 'cmd', '/k', 'claude'],
+  });
+});
+
+test('macOS backend scripts Terminal or iTerm with the directory shell-quoted', () => {
+  const backend = getLaunchBackend('darwin');
+  const dir = '/Users/me/my repos/"app"';
+  assert.deepEqual(backend.claude(dir, 'claude', null).args[1], `tell application "Terminal" to do script "cd '/Users/me/my repos/\\"app\\"' && claude"`);
+  assert.match(backend.claude(dir, 'claude', 'iTerm').args[3], /^tell application "iTerm" to tell current session .* write text "cd '\/Users\/me\/my repos\/\\"app\\"' && claude"$/);
+  assert.deepEqual(backend.shell(dir, null), { command: 'open', args: ['-a', 'Terminal', dir] });
+  assert.deepEqual(backend.ide({ name: 'Visual Studio Code' }, dir), { command: 'open', args: ['-a', 'Visual Studio Code', dir] });
+  assert.deepEqual(backend.claude(dir, 'claude', 'kitty').args, ['--directory', dir, 'sh', '-c', `claude${KEEP_OPEN}`]);
+});
+
+test('Linux backend passes a directory with spaces as one argument', () => {
+  const backend = getLaunchBackend('linux');
+  assert.deepEqual(backend.claude(linuxDir, 'claude --model opus', 'gnome-terminal'), {
+    command: 'gnome-terminal',
+    args: [`--working-directory=${linuxDir}`, '--', 'sh', '-c', `claude --model opus${KEEP_OPEN}`],
+    options: { cwd: linuxDir },
+  });
+  assert.deepEqual(backend.shell(linuxDir, 'tmux'), {
+    command: 'tmux',
+    args: ['new-window', '-c', linuxDir],
+    options: { cwd: linuxDir },
+  });
+});
+
+test('terminals without a working directory flag cd into a shell-quoted path', () => {
+  for (const name of ['x-terminal-emulator', 'xterm']) {
+    assert.deepEqual(buildTerminalCommand(name, "/tmp/it's here", 'claude'), {
+      command: name,
+      args: ['-e', 'sh', '-c', `cd '/tmp/it'\\''s here' && claude${KEEP_OPEN}`],
+    });
+  }
+});
+
+test('every terminal preset opens the directory with and without a command', () => {
+  for (const [name, preset] of Object.entries(TERMINAL_PRESETS)) {
+    assert.equal(preset(linuxDir, null).command, name);
+    const { args } = preset(linuxDir, 'claude');
+    assert.ok(args.some(arg => arg.includes(linuxDir)), name);
+    assert.ok(args.some(arg => arg.endsWith(`claude${KEEP_OPEN}`)), name);
+  }
+});
+
+test('resolveLinuxTerminal: configured, then tmux, then the first terminal on PATH', () => {
+  const onPath = names => name => names.includes(name);
+  assert.equal(resolveLinuxTerminal('kitty', { TMUX: '/tmp/tmux' }, onPath([])), 'kitty');
+  assert.equal(resolveLinuxTerminal(null, { TMUX: '/tmp/tmux' }, onPath(['kitty'])), 'tmux');
+  assert.equal(resolveLinuxTerminal(null, {}, onPath(['xterm', 'kitty', 'konsole'])), 'konsole');
+  assert.equal(resolveLinuxTerminal(null, {}, onPath(['xterm', 'gnome-terminal'])), 'gnome-terminal');
+  assert.equal(resolveLinuxTerminal(null, {}, onPath(['xterm'])), 'xterm');
+  assert.equal(resolveLinuxTerminal(null, {}, onPath([])), 'x-terminal-emulator');
+});
+
+test('buildTerminalCommand expands a custom template per argument', () => {
+  assert.deepEqual(buildTerminalCommand('foot --working-directory={path} sh -c {command}', linuxDir, 'claude'), {
+    command: 'foot',
+    args: [`--working-directory=${linuxDir}`, 'sh', '-c', `claude${KEEP_OPEN}`],
+  });
+  assert.deepEqual(buildTerminalCommand('foot -D {path} sh -c {command}', linuxDir, null).args, ['-D', linuxDir, 'sh', '-c', '${SHELL:-sh}']);
+});
+
+test('expandCommandTemplate substitutes {path} and {command} and keeps quoted arguments whole', () => {
+  assert.deepEqual(expandCommandTemplate('"/opt/My Term/term" --cwd {path} -e {command}', { path: linuxDir, command: 'claude --continue' }), {
+    command: '/opt/My Term/term',
+    args: ['--cwd', linuxDir, '-e', 'claude --continue'],
+  });
+  assert.deepEqual(expandCommandTemplate('term {unknown}', { path: linuxDir }), { command: 'term', args: ['{unknown}'] });
+});
+
+// ============================================================================
+// IDE detection
+// ============================================================================
+
+test('parseDesktopFile drops field codes and Flatpak file-forwarding markers', () => {
+  const desktop = [
+    '[Desktop Entry]',
+    'Name=Visual Studio Code',
+    'Exec=/usr/bin/flatpak run --branch=stable --file-forwarding com.visualstudio.code @@u %U @@',
+    '',
+    '[Desktop Action new-empty-window]',
+    'Name=New Empty Window',
+    'Exec=code --new-window %F',
+  ].join('\n');
+  assert.deepEqual(parseDesktopFile(desktop), {
+    name: 'Visual Studio Code',
+    exec: '/usr/bin/flatpak run --branch=stable --file-forwarding com.visualstudio.code',
+  });
+  assert.equal(parseDesktopFile('[Desktop Entry]\nName=No Exec\n'), null);
+});
+
+test('Linux backend runs a detected IDE command line with the directory appended', () => {
+  const backend = getLaunchBackend('linux');
+  assert.deepEqual(backend.ide({ name: 'Code', command: 'flatpak run com.visualstudio.code' }, linuxDir), {
+    command: 'flatpak',
+    args: ['run', 'com.visualstudio.code', linuxDir],
+  });
+  assert.deepEqual(backend.ide({ name: 'Code', command: 'code' }, linuxDir), { command: 'code', args: [linuxDir] });
+});
+
+test('mergeDetectedIDEs keeps a configured launch target', () => {
+  const { ides, added } = mergeDetectedIDEs(
+    [{ name: 'WebStorm', shortcut: 'C:/WebStorm.lnk' }, { name: 'Code' }],
+    [{ name: 'WebStorm', command: 'webstorm' }, { name: 'Code', command: 'code' }, { name: 'Zed', command: 'zed' }]
+  );
+  assert.deepEqual(ides, [
+    { name: 'WebStorm', shortcut: 'C:/WebStorm.lnk' },
+    { name: 'Code', command: 'code' },
+    { name: 'Zed', command: 'zed' },
+  ]);
+  assert.equal(added, 1);
+});
+
+// ============================================================================
+// Config doctor (--config)
+// ============================================================================
+
+const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'launcher-test-'));
+fs.mkdirSync(path.join(workspace, 'app'));
+test.after(() => fs.rmSync(workspace, { recursive: true, force: true }));
+
+const validConfig = fields => ({
+  ides: [{ name: 'Code', command: 'node' }],
+  entries: [{ type: 'repo', name: 'app', path: 'app', children: [] }],
+  ...fields,
+});
+const messages = config => validateConfig(config, [{ path: 'app' }], workspace).map(p => `${p.level}: ${p.message}`);
+
+test('validateConfig accepts a consistent config', () => {
+  assert.deepEqual(messages(validConfig()), []);
+});
+
+test('validateConfig reports the same path used twice', () => {
+  const entry = { type: 'repo', name: 'app', path: 'app', children: [] };
+  assert.deepEqual(messages(validConfig({ entries: [entry, { ...entry, name: 'again' }] })), [
+    'error: Duplicate entry path (2x): app',
+  ]);
+});
+
+test('validateConfig reports a path missing on disk', () => {
+  const config = validConfig({ entries: [{ type: 'repo', name: 'gone', path: 'gone', children: [] }] });
+  assert.deepEqual(messages(config), ['error: Entry "gone": path not found on disk: gone']);
+});
+
+// ============================================================================
+// Config schema, migrations and entry normalization
+// ============================================================================
+
+test('validateConfig warns about unknown keys at any depth', () => {
+  const config = validConfig({ thme: 'dark' });
+  config.entries[0].idea = 'Code';
+  assert.deepEqual(messages(config), [
+    'warning: Unknown config key: entries[0].idea',
+    'warning: Unknown config key: thme',
+  ]);
+});
+
+test('validateSchema reports a value of the wrong type', () => {
+  const errors = validateSchema(validConfig({ gitConcurrency: 'four' }), CONFIG_SCHEMA);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /gitConcurrency/);
+});
+
+test('validateConfig rejects a config from a newer launcher', () => {
+  const [problem] = messages(validConfig({ version: '99.0.0' }));
+  assert.match(problem, /^error: Config version 99\.0\.0 is newer than this launcher supports/);
+});
+
+test('migrateConfig brings a 1.0.0 config to the latest version', () => {
+  const { config, applied } = migrateConfig({
+    version: '1.0.0',
+    entries: [{ type: 'group', name: 'tools', children: [{ type: 'repo', path: 'tools/a', name: 'a' }] }],
+  });
+  assert.equal(config.version, CONFIG_MIGRATIONS[CONFIG_MIGRATIONS.length - 1].to);
+  assert.deepEqual(applied.map(step => step.to), CONFIG_MIGRATIONS.map(step => step.to));
+  assert.deepEqual(config.unmanagedPaths, []);
+  assert.equal(config.entries[0].path, 'tools');
+  assert.equal(config.entries[0].children[0].expanded, false);
+});
+
+test('migrateConfig treats a missing version as 1.0.0', () => {
+  const { applied } = migrateConfig({ entries: [] });
+  assert.equal(applied.length, CONFIG_MIGRATIONS.length);
+});
+
+test('migrateConfig keeps existing values', () => {
+  const { config } = migrateConfig({ version: '1.0.0', entries: [], unmanagedPaths: ['scratch'], customModes: [{ name: 'X' }] });
+  assert.deepEqual(config.unmanagedPaths, ['scratch']);
+  assert.deepEqual(config.customModes, [{ name: 'X' }]);
+});
+
+test('migrateConfig runs only the missing steps', () => {
+  const { config, applied } = migrateConfig({ version: '1.1.0', entries: [] });
+  assert.equal(applied[0].from, '1.1.0');
+  assert.equal(config.unmanagedPaths, undefined);
+});
+
+test('migrateConfig leaves configs from a newer launcher untouched', () => {
+  const input = { version: '9.0.0', entries: [{ name: 'x' }] };
+  const { config, applied } = migrateConfig(input);
+  assert.equal(applied.length, 0);
+  assert.equal(config, input);
+});
+
+test('normalizeEntry fills expanded and children recursively', () => {
+  const entry = normalizeEntry({ type: 'group', name: 'g', children: [{ type: 'repo', path: 'g/a' }] });
+  assert.equal(entry.expanded, false);
+  assert.deepEqual(entry.children[0].children, []);
+  assert.equal(entry.children[0].expanded, false);
+});
+
+test('normalizeEntry gives old groups their name as path', () => {
+  assert.equal(normalizeEntry({ type: 'group', name: 'g' }).path, 'g');
+  assert.equal(normalizeEntry({ type: 'group', name: 'g', path: 'other' }).path, 'other');
+  assert.equal(normalizeEntry({ type: 'repo', name: 'r' }).path, undefined);
+});
+
+test('normalizeEntry is idempotent and keeps user fields', () => {
+  const once = normalizeEntry({ type: 'repo', path: 'a', name: 'a', ide: 'Code', expanded: true });
+  assert.deepEqual(normalizeEntry(once), once);
+  assert.equal(once.expanded, true);
+  assert.equal(once.ide, 'Code');
+});
+
+// ============================================================================
+// Cache merge
+// ============================================================================
+
+test('mergeDiffs keeps per-repo rescans newer than the other side\'s full scan', () => {
+  const onDisk = { lastScan: 100, refreshedAt: { a: 300 }, data: { a: { files: 3 }, b: { files: 1 }, __group_g: { files: 4 } } };
+  const ours = { lastScan: 200, refreshedAt: {}, data: { a: { files: 1 }, b: { files: 2 } } };
+  assert.deepEqual(mergeDiffs(onDisk, ours), {
+    lastScan: 200,
+    refreshedAt: { a: 300 },
+    data: { a: { files: 3 }, b: { files: 2 } },
+  });
+});
+
+test('mergeDiffs drops repos a newer rescan found clean', () => {
+  const onDisk = { lastScan: 100, data: { a: { files: 1 } } };
+  const ours = { lastScan: 100, refreshedAt: { a: 150 }, data: {} };
+  assert.deepEqual(mergeDiffs(onDisk, ours).data, {});
+  assert.deepEqual(mergeDiffs(undefined, { lastScan: 5, data: { a: { files: 1 } } }).data, { a: { files: 1 } });
+});
+
+test('mergeRemoteStatus keeps the latest refresh of each repo', () => {
+  const onDisk = { lastFetch: 100, data: { a: { behind: 1, refreshedAt: 300 }, b: { behind: 2 }, c: { behind: 3 } } };
+  const ours = { lastFetch: 200, data: { a: { behind: 0, refreshedAt: 250 }, b: { behind: 0 } } };
+  assert.deepEqual(mergeRemoteStatus(onDisk, ours), {
+    lastFetch: 200,
+    data: { a: { behind: 1, refreshedAt: 300 }, b: { behind: 0 }, c: { behind: 3 } },
+  });
+  assert.deepEqual(mergeRemoteStatus(undefined, { lastFetch: null, data: {} }), { lastFetch: null, data: {} });
+});
+
+// ============================================================================
+// Custom launch modes
+// ============================================================================
+
+test('expandCommandTemplate spreads an array value and quotes it inside a larger argument', () => {
+  const vars = { path: linuxDir, claude: ['claude', '--model', 'my model'] };
+  assert.deepEqual(expandCommandTemplate('{claude} --verbose', vars), { command: 'claude', args: ['--model', 'my model', '--verbose'] });
+  assert.deepEqual(expandCommandTemplate('sh -c "cd {path} && {claude}"', { ...vars, path: 'app' }), {
+    command: 'sh',
+    args: ['-c', "cd app && claude --model 'my model'"],
+  });
+});
+
+test('the 1.3.0 migration gives a config an empty customModes list', () => {
+  const { config, applied } = migrateConfig({ version: '1.2.0', entries: [] });
+  assert.deepEqual(applied.map(step => step.to), ['1.3.0']);
+  assert.deepEqual(config.customModes, []);
+});
+
+// ============================================================================
+// Search
+// ============================================================================
+
+test('fuzzyMatch ignores case and reports matched positions', () => {
+  assert.deepEqual(fuzzyMatch('WEB', 'my-web-App').positions, [3, 4, 5]);
+  assert.deepEqual(fuzzyMatch('web', 'My-WEB-app').positions, [3, 4, 5]);
+  assert.deepEqual(fuzzyMatch('mwa', 'My-Web-App').positions, [0, 3, 7]);
+  assert.equal(fuzzyMatch('xyz', 'app'), null);
+  assert.equal(fuzzyMatch('ppa', 'app'), null);
+});
+
+test('fuzzyMatch with an empty query matches everything equally', () => {
+  assert.deepEqual(fuzzyMatch('', 'app'), { score: 0, positions: [] });
+  assert.deepEqual(fuzzyMatch('', null), { score: 0, positions: [] });
+});
+
+test('fuzzyMatch ranks prefix over word start over inner substring over scattered', () => {
+  const score = text => fuzzyMatch('app', text).score;
+  assert.ok(score('app') > score('apps'));
+  assert.ok(score('apps') > score('my-app'));
+  assert.ok(score('my-app') > score('happy'));
+  assert.ok(score('happy') > score('a-p-p'));
+  assert.ok(score('a-p-p') > score('axxpxxp'));
+});
+
+test('fuzzyMatch prefers a substring at a word start', () => {
+  assert.deepEqual(fuzzyMatch('core', 'scorecard/core').positions, [10, 11, 12, 13]);
+});
+
+test('searchCandidates ranks by score and keeps menu order for ties', () => {
+  const candidate = (name, entryPath) => ({ entry: { name, path: entryPath } });
+  const candidates = [
+    candidate('happy', 'tools/happy'),
+    candidate('web', 'apps/web'),
+    candidate('app', 'app'),
+    candidate('api', 'services/api'),
+  ];
+  const ranked = searchCandidates('app', candidates);
+  assert.deepEqual(ranked.map(r => r.entry.name), ['app', 'web', 'happy']);
+  assert.deepEqual(ranked.map(r => r.field), ['name', 'path', 'name']);
+  assert.deepEqual(searchCandidates('', candidates).map(r => r.entry.name), ['happy', 'web', 'app', 'api']);
+});
+
+// ============================================================================
+// Repo scan settings
+// ============================================================================
+
+test('globToRegExp: a name matches at any depth, a path is anchored to the root', () => {
+  assert.equal(globToRegExp('vendor').test('vendor'), true);
+  assert.equal(globToRegExp('vendor/').test('a/b/vendor'), true);
+  assert.equal(globToRegExp('vendor').test('vendors'), false);
+  assert.equal(globToRegExp('tools/vendor').test('tools/vendor'), true);
+  assert.equal(globToRegExp('tools/vendor').test('x/tools/vendor'), false);
+  assert.equal(globToRegExp('/vendor').test('a/vendor'), false);
+});
+
+test('globToRegExp: * and ? stay within one directory', () => {
+  assert.equal(globToRegExp('build-*').test('app/build-2024'), true);
+  assert.equal(globToRegExp('tools/*').test('tools/a/b'), false);
+  assert.equal(globToRegExp('v?').test('v1'), true);
+  assert.equal(globToRegExp('v?').test('v12'), false);
+  assert.equal(globToRegExp('a?b').test('a/b'), false);
+});
+
+test('globToRegExp: ** spans zero or more directories', () => {
+  const re = globToRegExp('archive/**/old');
+  assert.equal(re.test('archive/old'), true);
+  assert.equal(re.test('archive/2023/q1/old'), true);
+  assert.equal(re.test('other/archive/old'), false);
+  assert.equal(globToRegExp('archive/**').test('archive/x/y'), true);
+});
+
+test('globToRegExp treats regex metacharacters literally', () => {
+  assert.equal(globToRegExp('c++.lib').test('c++.lib'), true);
+  assert.equal(globToRegExp('c++.lib').test('cc+xlib'), false);
+  assert.equal(globToRegExp('(old)[1]').test('(old)[1]'), true);
+  assert.equal(globToRegExp('$tmp^').test('$tmp^'), true);
+  assert.equal(globToRegExp('a.b').test('axb'), false);
+});
+
+test('isExcluded accepts Windows separators and lets the last match win', () => {
+  const excludes = compileExcludes(['node_modules', 'packages\\legacy', 'archive/**', '!archive/keep', '# comment']);
+  assert.equal(isExcluded('packages\\web\\node_modules', excludes), true);
+  assert.equal(isExcluded('packages/legacy', excludes), true);
+  assert.equal(isExcluded('packages\\legacy', excludes), true);
+  assert.equal(isExcluded('archive/drop', excludes), true);
+  assert.equal(isExcluded('archive/keep', excludes), false);
+  assert.equal(isExcluded('packages/web', excludes), false);
+});
+
+test('scanForRepos stops at maxDepth and skips excluded directories', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'launcher-scan-'));
+  for (const dir of ['a', 'b/c', 'b/d/e', 'node_modules/pkg', 'skip/f']) {
+    fs.mkdirSync(path.join(root, dir, '.git'), { recursive: true });
+  }
+  const scan = settings => scanForRepos(getScanSettings({ scan: settings }), root).map(r => r.path).sort();
+  try {
+    assert.deepEqual(scan({}), ['a', 'b/c', 'b/d/e', 'skip/f']);
+    assert.deepEqual(scan({ maxDepth: 2 }), ['a', 'b/c', 'skip/f']);
+    assert.deepEqual(scan({ maxDepth: 0 }), []);
+    assert.deepEqual(scan({ maxDepth: 1 }), ['a']);
+    assert.deepEqual(scan({ exclude: ['skip', 'd'] }), ['a', 'b/c', 'node_modules/pkg']);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('findUnknownKeys knows the scan settings', () => {
+  assert.deepEqual(findUnknownKeys({ scan: { roots: [], maxDepth: 2, exclude: [] } }, CONFIG_SCHEMA), []);
+  assert.deepEqual(findUnknownKeys({ scan: { depth: 2 } }, CONFIG_SCHEMA), ['scan.depth']);
+});
+
+// ============================================================================
+// Missing repos
+// ============================================================================
+
+test('normalizeRemoteUrl gives ssh, https and .git forms of a remote the same key', () => {
+  const key = 'github.com/org/app';
+  assert.equal(normalizeRemoteUrl('git@github.com:Org/app.git'), key);
+  assert.equal(normalizeRemoteUrl('https://github.com/Org/app'), key);
+  assert.equal(normalizeRemoteUrl('https://user@github.com/org/app.git/'), key);
+  assert.equal(normalizeRemoteUrl('ssh://git@github.com/Org/app/'), key);
+  assert.equal(normalizeRemoteUrl('ssh://git@github.com:22/org/app.git'), key);
+  assert.notEqual(normalizeRemoteUrl('git@github.com:org/app-two.git'), key);
+  assert.equal(normalizeRemoteUrl(null), null);
+});
+
+test('findMissingRepos lists missing entries and repos with moved candidates', () => {
+  fs.mkdirSync(path.join(workspace, 'moved', 'app'), { recursive: true });
+  const entries = [
+    { type: 'repo', name: 'app', path: 'app' },
+    { type: 'repo', name: 'old', path: 'old/app' },
+    { type: 'group', name: 'g', path: 'g', children: [] },
+  ];
+  const repositories = [
+    { path: 'app', remote: 'https://github.com/org/app-one' },
+    { path: 'moved/app', remote: 'https://github.com/Org/app.git' },
+    { path: 'deleted', remote: 'git@github.com:org/deleted.git' },
+    { path: 'ignored' },
+  ];
+  const vanished = [{ path: 'old/app', remote: 'git@github.com:org/app.git' }];
+  assert.deepEqual(findMissingRepos(entries, repositories, vanished, ['ignored'], workspace), [
+    { kind: 'entry', path: 'old/app', name: 'old', remote: 'git@github.com:org/app.git', candidates: ['moved/app'] },
+    { kind: 'repo', path: 'deleted', name: 'deleted', remote: 'git@github.com:org/deleted.git', candidates: [] },
+  ]);
+});
+
+// ============================================================================
+// Submodules
+// ============================================================================
+
+test('parseSubmoduleStatus maps each status prefix to a state', () => {
+  const output = [
+    ' 1111111111111111111111111111111111111111 libs/core (v1.0.0)',
+    '-2222222222222222222222222222222222222222 libs/extra',
+    '+3333333333333333333333333333333333333333 libs/moved (heads/main)',
+    'U4444444444444444444444444444444444444444 libs/conflict',
+  ].join('\n');
+  assert.deepEqual(parseSubmoduleStatus(output), [
+    { path: 'libs/core', sha: '1111111111111111111111111111111111111111', state: 'ok' },
+    { path: 'libs/extra', sha: '2222222222222222222222222222222222222222', state: 'uninitialized' },
+    { path: 'libs/moved', sha: '3333333333333333333333333333333333333333', state: 'modified' },
+    { path: 'libs/conflict', sha: '4444444444444444444444444444444444444444', state: 'conflict' },
+  ]);
+});
+
+test('parseSubmoduleStatus handles CRLF, paths with spaces and empty output', () => {
+  assert.deepEqual(parseSubmoduleStatus(' abc123 libs/my lib (heads/main)\r\n'), [
+    { path: 'libs/my lib', sha: 'abc123', state: 'ok' },
+  ]);
+  assert.deepEqual(parseSubmoduleStatus(''), []);
+  assert.deepEqual(parseSubmoduleStatus(null), []);
+});
+
+// ============================================================================
+// Remote status: push plans
+// ============================================================================
+
+const row = fields => ({ path: 'app', name: 'app', branch: 'main', upstream: 'origin/main', remote: 'origin', ahead: 0, behind: 0, changes: null, ...fields });
+
+test('planPush pushes tracked branches only when ahead', () => {
+  assert.equal(planPush(row({ ahead: 0 })), null);
+  const plan = planPush(row({ ahead: 2 }));
+  assert.equal(plan.target, 'origin/main');
+  assert.equal(plan.setUpstream, null);
+});
+
+test('planPush sets upstream for a new branch', () => {
+  const plan = planPush(row({ branch: 'feature', upstream: null }));
+  assert.equal(plan.target, 'origin/feature');
+  assert.deepEqual(plan.setUpstream, { remote: 'origin', branch: 'feature' });
+});
+
+test('planPush skips rows it cannot push', () => {
+  assert.equal(planPush(row({ loading: true, ahead: 1 })), null);
+  assert.equal(planPush(row({ branch: 'HEAD', ahead: 1 })), null);
+  assert.equal(planPush(row({ branch: 'unknown', ahead: 1 })), null);
+  assert.equal(planPush(row({ upstream: null, remote: null })), null);
+});
+
+// ============================================================================
+// Sync: fast-forward blockers
+// ============================================================================
+
+test('getSyncBlocker allows clean rows', () => {
+  assert.equal(getSyncBlocker(row({ behind: 1 })), null);
+});
+
+test('getSyncBlocker explains why a row is skipped', () => {
+  assert.equal(getSyncBlocker(row({ submodule: { state: 'uninitialized' } })), 'not checked out');
+  assert.equal(getSyncBlocker(row({ branch: 'unknown' })), 'status unknown');
+  assert.equal(getSyncBlocker(row({ branch: 'HEAD' })), 'detached HEAD');
+  assert.equal(getSyncBlocker(row({ upstream: null })), 'no upstream');
+  assert.equal(getSyncBlocker(row({ ahead: 1, behind: 2 })), 'diverged (1 ahead, 2 behind)');
+  assert.equal(getSyncBlocker(row({ behind: 1, changes: { files: 1 } })), 'uncommitted changes (1 file)');
+});
+
+// ============================================================================
+// Failure hints
+// ============================================================================
+
+const failed = stderr => ({ ok: false, timedOut: false, stdout: '', stderr });
+
+test('getFailureHint recognises common git failures', () => {
+  assert.match(getFailureHint(failed("fatal: Authentication failed for 'https://github.com/org/app.git/'")), /^Authentication failed/);
+  assert.match(getFailureHint(failed("fatal: could not read Username for 'https://github.com': terminal prompts disabled")), /^Authentication failed/);
+  assert.match(getFailureHint(failed('git@github.com: Permission denied (publickey).')), /^Authentication failed/);
+  assert.match(getFailureHint(failed(' ! [rejected]        main -> main (non-fast-forward)')), /pull \(or rebase\) first/);
+  assert.match(getFailureHint(failed('fatal: The current branch feature has no upstream branch.')), /no upstream/);
+  assert.match(getFailureHint(failed('There is no tracking information for the current branch.')), /no upstream/);
+  assert.match(
+    getFailureHint(failed('error: Your local changes to the following files would be overwritten by merge:\n\tsrc/a.js')),
+    /commit or stash/
+  );
+  assert.match(getFailureHint(failed('fatal: Not possible to fast-forward, aborting.')), /diverged/);
+});
+
+test('getFailureHint uses the first matching FAILURE_HINTS entry', () => {
+  // An HTTP 403 also reads "unable to access", which alone means the remote is unreachable
+  const forbidden = failed("fatal: unable to access 'https://github.com/org/app.git/': The requested URL returned error: 403");
+  assert.equal(getFailureHint(forbidden), FAILURE_HINTS[0].hint);
+  assert.match(getFailureHint(failed("fatal: unable to access 'https://git.example.com/app.git/': Could not resolve host")), /not reachable/);
+  for (const { pattern, hint } of FAILURE_HINTS) {
+    assert.ok(pattern instanceof RegExp && pattern.flags.includes('i'));
+    assert.equal(typeof hint, 'string');
+  }
+});
+
+test('getFailureHint reads stdout too and reports timeouts', () => {
+  assert.match(getFailureHint({ ok: false, stdout: 'Updates were rejected because the tip is behind', stderr: '' }), /pull/);
+  assert.match(getFailureHint({ ok: false, timedOut: true, stdout: '', stderr: '' }), /^Timed out/);
+});
+
+test('getFailureHint returns null for successes and unknown failures', () => {
+  assert.equal(getFailureHint({ ok: true, stdout: '', stderr: 'Authentication failed' }), null);
+  assert.equal(getFailureHint(failed('fatal: something unexpected happened')), null);
+  assert.equal(getFailureHint(failed('')), null);
+});
+
+// ============================================================================
+// Changed files (git status --porcelain -z)
+// ============================================================================
+
+test('parseStatusPorcelain returns null for a clean repo', () => {
+  assert.equal(parseStatusPorcelain(''), null);
+  assert.equal(parseStatusPorcelain(null), null);
+});
+
+test('parseStatusPorcelain keeps the leading space of the status', () => {
+  assert.deepEqual(parseStatusPorcelain(' M src/a.js\0?? notes.txt\0'), [
+    { status: ' M', file: 'src/a.js' },
+    { status: '??', file: 'notes.txt' },
+  ]);
+});
+
+test('parseStatusPorcelain returns names git would quote as they are on disk', () => {
+  const names = ['with space.txt', 'quote"d.txt', 'x$(echo hi)y', 'tab\there', 'café.md', '日本語.txt'];
+  const files = parseStatusPorcelain(names.map(name => `?? ${name}\0`).join(''));
+  assert.deepEqual(files.map(f => f.file), names);
+});
+
+test('parseStatusPorcelain pairs renames and copies with their original path', () => {
+  const files = parseStatusPorcelain('R  new name.js\0old name.js\0C  copy.md\0café.md\0M  after.js\0');
+  assert.deepEqual(files, [
+    { status: 'R ', file: 'new name.js', from: 'old name.js' },
+    { status: 'C ', file: 'copy.md', from: 'café.md' },
+    { status: 'M ', file: 'after.js' },
+  ]);
+});
+
+test('formatChangedFile shows a rename as old -> new', () => {
+  assert.equal(formatChangedFile({ file: 'b.js', from: 'a.js' }), 'a.js -> b.js');
+  assert.equal(formatChangedFile({ file: 'b.js' }), 'b.js');
+});
+
+test('getChangedFilePaths covers both sides of a rename', () => {
+  assert.deepEqual(getChangedFilePaths({ file: 'b.js', from: 'a.js' }), ['a.js', 'b.js']);
+  assert.deepEqual(getChangedFilePaths({ file: 'café.md' }), ['café.md']);
+});
+
+// ============================================================================
+// Diff stats
+// ============================================================================
+
+test('addGitStats sums totals and the staged/unstaged split', () => {
+  const total = emptyGitStats();
+  addGitStats(total, {
+    files: 2, added: 5, removed: 1, untracked: 1,
+    staged: { files: 1, added: 3, removed: 0 },
+    unstaged: { files: 1, added: 2, removed: 1 },
+  });
+  addGitStats(total, {
+    files: 1, added: 1, removed: 4, untracked: 0,
+    staged: { files: 0, added: 0, removed: 0 },
+    unstaged: { files: 1, added: 1, removed: 4 },
+  });
+  assert.deepEqual(total, {
+    files: 3, added: 6, removed: 5, untracked: 1,
+    staged: { files: 1, added: 3, removed: 0 },
+    unstaged: { files: 2, added: 3, removed: 5 },
+  });
+});
+
+test('addGitStats takes only totals from stats cached before the split', () => {
+  const total = addGitStats(emptyGitStats(), { files: 2, added: 7, removed: 3 });
+  assert.equal(total.files, 2);
+  assert.equal(total.added, 7);
+  assert.deepEqual(total.staged, { files: 0, added: 0, removed: 0 });
+  assert.equal(total.untracked, 0);
+});
+
+test('getSyncBlocker lets untracked files through', () => {
+  assert.equal(getSyncBlocker(row({ behind: 1, changes: { files: 2, untracked: 2 } })), null);
+  assert.equal(getSyncBlocker(row({ behind: 1, changes: { files: 3, untracked: 1 } })), 'uncommitted changes (2 files)');
+});
+
+// ============================================================================
+// Auto refresh
+// ============================================================================
+
+test('isStale compares against minutes, never with 0', () => {
+  const now = 10 * 60000;
+  assert.equal(isStale(now - 4 * 60000, 5, now), false);
+  assert.equal(isStale(now - 6 * 60000, 5, now), true);
+  assert.equal(isStale(null, 5, now), true);
+  assert.equal(isStale(null, 0, now), false);
+  assert.equal(isStale(0, undefined, now), false);
+});
+
+test('isWatchedChange ignores git internals other than index, HEAD and branches', () => {
+  assert.equal(isWatchedChange('src/a.js'), true);
+  assert.equal(isWatchedChange(null), true);
+  assert.equal(isWatchedChange('.git/index'), true);
+  assert.equal(isWatchedChange('.git/HEAD'), true);
+  assert.equal(isWatchedChange('.git/objects/ab/cdef'), false);
+  assert.equal(isWatchedChange('.git/index.lock'), false);
+  assert.equal(isWatchedChange('.git/refs/heads/feature/x'), true);
+  assert.equal(isWatchedChange('.git/refs/heads/main.lock'), false);
+  assert.equal(isWatchedChange('.git/refs/remotes/origin/main'), false);
+  assert.equal(isWatchedChange('.git/FETCH_HEAD'), false);
+  assert.equal(isWatchedChange('node_modules/x/index.js'), false);
+  assert.equal(isWatchedChange('packages\\web\\node_modules\\x.js'), false);
+  assert.equal(isWatchedChange('.gitignore'), true);
+});